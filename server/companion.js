@@ -0,0 +1,225 @@
+/**
+ * Companion server for team devices.
+ *
+ * Run it on the projector laptop next to `vite preview`:  npm run companion
+ * Phones on the same Wi-Fi open the printed address, type the room code, pick their team and send
+ * one guess per round, plus a bet in wager rounds, or buzz in when the host plays in buzzer mode.
+ * The host app (same laptop) pushes the round state here and receives the submissions over
+ * server-sent events. No internet access and no dependencies beyond Node itself.
+ *
+ * Host endpoints only answer requests from this machine, so a phone can't impersonate the host, and
+ * only share their responses with pages served from this machine (the host app on Vite's port), so
+ * another site open in the host's browser can't read the submissions. team.html is served from
+ * here, so the team endpoints need no cross-origin headers at all.
+ */
+import http from "node:http";
+import os from "node:os";
+import { readFile } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const TEAM_PAGE = new URL("./team.html", import.meta.url);
+
+const makeCode = () => {
+  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ"; // no I/O, they read like 1/0 on a phone
+  return Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join("");
+};
+
+const room = {
+  code: makeCode(),
+  // pushed by the host: { round: { id, index, total, hints, wager: { open, caps } | null, buzzer: { open, holder, out } | null }, teams: [{ id, name }], clock: { elapsed, duration, isRunning, at } }
+  state: { round: null, teams: [], clock: null },
+  submissions: [], // { id, teamId, roundId, text, at, elapsed }
+  bets: [], // { teamId, roundId, amount, at }; a team may change its bet while betting is open
+};
+
+const hostClients = new Set();
+const teamClients = new Set();
+
+function lanUrls() {
+  const urls = [];
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const iface of list || []) {
+      if (iface.family === "IPv4" && !iface.internal) urls.push(`http://${iface.address}:${PORT}`);
+    }
+  }
+  return urls;
+}
+
+const isLocal = (req) => ["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(req.socket.remoteAddress);
+
+// A page on this machine, e.g. http://localhost:5173; requests without an Origin don't come from a page.
+function isLocalOrigin(origin) {
+  try {
+    return ["localhost", "127.0.0.1", "[::1]"].includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Round timer value at `now`, extrapolated from the host's last push.
+function clockAt(now) {
+  const c = room.state.clock;
+  if (!c) return 0;
+  const e = c.elapsed + (c.isRunning ? (now - c.at) / 1000 : 0);
+  return Math.min(e, c.duration || Infinity);
+}
+
+function teamState() {
+  const roundId = room.state.round?.id;
+  return {
+    ...room.state,
+    submittedTeams: room.submissions.filter((s) => s.roundId === roundId).map((s) => s.teamId),
+    betTeams: room.bets.filter((b) => b.roundId === roundId).map((b) => b.teamId),
+  };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function openEvents(req, res, clients, initial) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(`event: ${initial.event}\ndata: ${JSON.stringify(initial.data)}\n\n`);
+  clients.add(res);
+  req.on("close", () => clients.delete(res));
+}
+
+function broadcast(clients, event, data) {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) res.write(frame);
+}
+
+async function readJson(req) {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > 64 * 1024) throw new Error("Request too large");
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+const routes = {
+  "GET /": async (req, res) => {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    res.end(await readFile(TEAM_PAGE));
+  },
+
+  // ----- host (this machine only) -----
+  "GET /api/host/events": (req, res) => {
+    openEvents(req, res, hostClients, {
+      event: "snapshot",
+      data: { code: room.code, urls: lanUrls(), submissions: room.submissions, bets: room.bets },
+    });
+  },
+  "POST /api/host/state": async (req, res) => {
+    const body = await readJson(req);
+    room.state = { round: body.round ?? null, teams: body.teams ?? [], clock: body.clock ?? null };
+    broadcast(teamClients, "state", teamState());
+    send(res, 200, { ok: true });
+  },
+  "POST /api/host/clear": (req, res) => {
+    room.submissions = [];
+    broadcast(hostClients, "snapshot", { code: room.code, urls: lanUrls(), submissions: room.submissions, bets: room.bets });
+    broadcast(teamClients, "state", teamState());
+    send(res, 200, { ok: true });
+  },
+
+  // ----- teams -----
+  "GET /api/team/events": (req, res, url) => {
+    if (url.searchParams.get("code")?.toUpperCase() !== room.code) return send(res, 403, { error: "Wrong room code" });
+    openEvents(req, res, teamClients, { event: "state", data: teamState() });
+  },
+  "POST /api/team/guess": async (req, res) => {
+    const body = await readJson(req);
+    if (String(body.code).toUpperCase() !== room.code) return send(res, 403, { error: "Wrong room code" });
+    const round = room.state.round;
+    if (!round || body.roundId !== round.id) return send(res, 409, { error: "That round is over" });
+    if (!room.state.teams.some((t) => t.id === body.teamId)) return send(res, 400, { error: "Unknown team" });
+    const text = String(body.text ?? "").trim().slice(0, 200);
+    if (!text) return send(res, 400, { error: "Guess is empty" });
+    if (room.submissions.some((s) => s.roundId === round.id && s.teamId === body.teamId)) {
+      return send(res, 409, { error: "Your team already answered this round" });
+    }
+
+    const now = Date.now();
+    const submission = { id: randomUUID(), teamId: body.teamId, roundId: round.id, text, at: now, elapsed: clockAt(now) };
+    room.submissions.push(submission);
+    broadcast(hostClients, "submission", submission);
+    broadcast(teamClients, "state", teamState());
+    send(res, 200, { ok: true });
+  },
+  "POST /api/team/bet": async (req, res) => {
+    const body = await readJson(req);
+    if (String(body.code).toUpperCase() !== room.code) return send(res, 403, { error: "Wrong room code" });
+    const round = room.state.round;
+    if (!round || body.roundId !== round.id || !round.wager?.open) return send(res, 409, { error: "Betting is closed" });
+    if (!room.state.teams.some((t) => t.id === body.teamId)) return send(res, 400, { error: "Unknown team" });
+    const cap = round.wager.caps?.[body.teamId] ?? 0;
+    const amount = Number(body.amount);
+    if (!Number.isInteger(amount) || amount < 0) return send(res, 400, { error: "Bet a whole number of points" });
+    if (amount > cap) return send(res, 400, { error: `You can bet at most ${cap}` });
+
+    const bet = { teamId: body.teamId, roundId: round.id, amount, at: Date.now() };
+    room.bets = [...room.bets.filter((b) => !(b.roundId === round.id && b.teamId === body.teamId)), bet];
+    broadcast(hostClients, "bet", bet);
+    broadcast(teamClients, "state", teamState());
+    send(res, 200, { ok: true });
+  },
+  // the host decides who got there first; buzzes are only passed on, not stored
+  "POST /api/team/buzz": async (req, res) => {
+    const body = await readJson(req);
+    if (String(body.code).toUpperCase() !== room.code) return send(res, 403, { error: "Wrong room code" });
+    const round = room.state.round;
+    if (!round?.buzzer || body.roundId !== round.id) return send(res, 409, { error: "Buzzers are off" });
+    if (!room.state.teams.some((t) => t.id === body.teamId)) return send(res, 400, { error: "Unknown team" });
+    broadcast(hostClients, "buzz", { teamId: body.teamId, roundId: round.id, at: Date.now() });
+    send(res, 200, { ok: true });
+  },
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const hostRoute = url.pathname.startsWith("/api/host/");
+  const { origin } = req.headers;
+  if (hostRoute && origin) {
+    if (!isLocalOrigin(origin)) return send(res, 403, { error: "Host only" });
+    // send() and openEvents() keep these when they write their own headers
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  }
+  if (req.method === "OPTIONS") {
+    if (!hostRoute) return send(res, 404, { error: "Not found" });
+    res.writeHead(204, {
+      "Access-Control-Allow-Methods": "GET, POST",
+      "Access-Control-Allow-Headers": "Content-Type",
+    });
+    return res.end();
+  }
+
+  const route = routes[`${req.method} ${url.pathname}`];
+  if (!route) return send(res, 404, { error: "Not found" });
+  if (hostRoute && !isLocal(req)) return send(res, 403, { error: "Host only" });
+  try {
+    await route(req, res, url);
+  } catch (err) {
+    if (!res.headersSent) send(res, 400, { error: err.message });
+  }
+});
+
+// keep idle event streams alive through phone power-saving and proxies
+setInterval(() => {
+  for (const res of [...hostClients, ...teamClients]) res.write(": ping\n\n");
+}, 15000).unref();
+
+server.listen(PORT, () => {
+  console.log(`Campus GeoGuessr companion server`);
+  console.log(`  Room code: ${room.code}`);
+  for (const u of lanUrls()) console.log(`  Teams join at: ${u}`);
+  console.log(`  Host app connects to: http://localhost:${PORT}`);
+});
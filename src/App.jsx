@@ -1,4 +1,72 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { deleteImage, getImage, loadImageUrls, putImage, thumbId } from "./imageStore.js";
+import { DEFAULT_MAP_SCORING, clamp01, formatDistance, gpsToMap, scoreGuesses, validBounds } from "./geo.js";
+import { DEFAULT_PHOTO_SETTINGS, makeThumbnail, preparePhoto, processImage } from "./imageTools.js";
+import { ROTATIONS, outputSize } from "./imageRender.js";
+import {
+  allTags,
+  applyHintPenalty,
+  focusAt,
+  hiddenReveal,
+  makeHint,
+  makeRound,
+  matchesFilter,
+  normalizeRound,
+  normalizeTag,
+  ROUND_TYPES,
+  roundSettings,
+} from "./rounds.js";
+import { activeBuzz, makeBuzz, markBuzz, missedTeams } from "./buzzer.js";
+import {
+  MAX_OPTIONS,
+  MIN_OPTIONS,
+  OPTION_REVEALS,
+  eliminateOptions,
+  isChoice,
+  judgeChoice,
+  optionLetter,
+  roundAnswer,
+  visibleOptions,
+} from "./choice.js";
+import { clampBet, isWager, settlementChanges, settlementRows, unmarkedTeams } from "./wager.js";
+import { seededShuffle } from "./random.js";
+import { leadingTeams, logoDataUrl, makeTeam, teamColor, withColors } from "./teams.js";
+import MapBoard from "./MapBoard.jsx";
+import RevealCanvas from "./RevealCanvas.jsx";
+import { REVEAL_EFFECTS } from "./reveal.js";
+import { recordBatch, redoLast, roundBreakdown, scoreTotals, seedLogFromTeams, undoLast } from "./scoreLog.js";
+import { DEFAULT_TOLERANCE, acceptedAnswers, judgeGuess } from "./judge.js";
+import { DEFAULT_COMPANION_URL, clearCompanionSubmissions, connectCompanion, pushCompanionState } from "./companion.js";
+import { buildPack, inspectPack } from "./pack.js";
+import { DEFAULT_SETTINGS } from "./packSchema.js";
+import { MSG, createSyncChannel, participantUrl } from "./sync.js";
+import { COUNTDOWN_TICKS, DEFAULT_AUDIO, SOUNDS, playSound } from "./audio.js";
+import { PHASE, PHASE_LABELS, advanceLabel, nextStep } from "./flow.js";
+import { downtime, isResumable, makeSnapshot, resumeClock } from "./session.js";
+import { CLOCK_MODES, TIME_STEP, adjustClock, clockStatus, expireClock, makeClock, pauseClock, resetClock, startClock } from "./clock.js";
+import {
+  createPack,
+  deletePack,
+  duplicatePack,
+  mapImageId,
+  renamePack,
+  switchPack,
+  useLocalStorage,
+  usePackStorage,
+} from "./storage.js";
+import {
+  MAX_HINT_KEYS,
+  MAX_TEAM_KEYS,
+  SHORTCUT_ACTIONS,
+  actionForCombo,
+  bindKey,
+  defaultBindings,
+  eventCombo,
+  formatCombo,
+  isTypingTarget,
+  unbindKey,
+  withDefaultBindings,
+} from "./shortcuts.js";
 
 /**
  * Vibe & Connect's Campus GeoGuessr
@@ -7,94 +75,217 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * Quick fix notes (why images might not show):
  * - You must use the **Add Rounds** button or **drag & drop** onto the stage (now supported).
  * - The stage starts blurred until you press **Start** or toggle **Preview Unblur**.
- * - If you reloaded the page, object URLs from a previous session won't persist; re-add images.
+ * - Image bytes are kept in IndexedDB and turned back into object URLs on load, so a reload is safe.
+ * - Everything else is stored per game in the local pack library (see storage.js); this component
+ *   always shows the active game and is remounted when another one is opened.
  */
 
 // ---------- Utilities ----------
 const pad2 = (n) => String(n).padStart(2, "0");
 
-function useLocalStorage(key, initialValue) {
-  const [value, setValue] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initialValue;
-    } catch {
-      return initialValue;
-    }
-  });
-  useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-    } catch {}
-  }, [key, value]);
-  return [value, setValue];
-}
-
 // ---------- Core Types ----------
-const makeRound = (overrides = {}) => ({
-  id: crypto.randomUUID(),
-  imageUrl: "",
-  imageName: "",
-  answer: "",
-  hints: ["", "", ""],
-  reveal: { hint1: false, hint2: false, hint3: false, answer: false },
-  ...overrides,
-});
-
 const defaultTeams = [
-  { id: "A", name: "Team A", score: 0 },
-  { id: "B", name: "Team B", score: 0 },
-  { id: "C", name: "Team C", score: 0 },
-  { id: "D", name: "Team D", score: 0 },
+  { id: "A", name: "Team A", color: "#3b82f6", emoji: "" },
+  { id: "B", name: "Team B", color: "#ef4444", emoji: "" },
+  { id: "C", name: "Team C", color: "#22c55e", emoji: "" },
+  { id: "D", name: "Team D", color: "#a855f7", emoji: "" },
 ];
 
 // ---------- Main Component ----------
-export default function App() {
-  const [rounds, setRounds] = useLocalStorage("pg_rounds_v1", []);
-  const [current, setCurrent] = useLocalStorage("pg_current_v1", 0);
-  const [teams, setTeams] = useLocalStorage("pg_teams_v1", defaultTeams);
-
-  const [duration, setDuration] = useLocalStorage("pg_timer_v1", 60); // seconds
-  const [autoUnblur, setAutoUnblur] = useLocalStorage("pg_autoblur_v1", true);
-  const [startBlur, setStartBlur] = useLocalStorage("pg_startblur_v1", 18); // px
-  const [initialZoom, setInitialZoom] = useLocalStorage("pg_initialzoom_v1", 2.0); // zoom multiplier
-  const [isRunning, setIsRunning] = useState(false);
-  const [elapsed, setElapsed] = useState(0);
+export default function App({ library, onLibraryChange }) {
+  const packName = library.packs.find((p) => p.id === library.activeId)?.name || "Untitled game";
+  const mapId = mapImageId(library.activeId);
+  // rounds saved before a field existed get its default
+  const [rounds, setRounds] = usePackStorage("pg_rounds_v1", [], (arr) => arr.map((r) => normalizeRound(makeRound(r))));
+  const [current, setCurrent] = usePackStorage("pg_current_v1", 0);
+  const [teamList, setTeams] = usePackStorage("pg_teams_v1", defaultTeams);
+  // Scores live in an event log; games saved before it existed get their stored scores carried over once.
+  const [scoreLog, setScoreLog] = usePackStorage("pg_scorelog_v1", () => seedLogFromTeams(teamList));
+  const totals = useMemo(() => scoreTotals(scoreLog.events), [scoreLog]);
+  const teams = useMemo(
+    () => teamList.map((t, i) => ({ ...t, color: teamColor(t, i), score: totals[t.id] ?? 0 })),
+    [teamList, totals]
+  );
+  const [editingTeams, setEditingTeams] = useState(false);
+
+  const [duration, setDuration] = usePackStorage("pg_timer_v1", 60); // seconds
+  const [autoUnblur, setAutoUnblur] = usePackStorage("pg_autoblur_v1", true);
+  const [startBlur, setStartBlur] = usePackStorage("pg_startblur_v1", 18); // px
+  const [initialZoom, setInitialZoom] = usePackStorage("pg_initialzoom_v1", 2.0); // zoom multiplier
+  const [revealEffect, setRevealEffect] = usePackStorage("pg_effect_v1", "blur"); // see REVEAL_EFFECTS
+  const [stripPhotos, setStripPhotos] = usePackStorage("pg_strip_v1", true); // re-encode photos without EXIF on upload and export
+  const [photoSettings, setPhotoSettings] = usePackStorage("pg_photo_v1", DEFAULT_PHOTO_SETTINGS); // upload size cap and quality
+  const [mapMode, setMapMode] = usePackStorage("pg_mapmode_v1", false);
+  const [mapInfo, setMapInfo] = usePackStorage("pg_map_v1", null); // { name, aspect, bounds? }; the image itself is in IndexedDB
+  const [mapScoring, setMapScoring] = usePackStorage("pg_mapscoring_v1", DEFAULT_MAP_SCORING);
+  const [mapUrl, setMapUrl] = useState("");
+  const [guessTeam, setGuessTeam] = useState(0); // team whose guess the next click on the map places
+  const [companionUrl, setCompanionUrl] = useLocalStorage("pg_companion_url_v1", DEFAULT_COMPANION_URL);
+  const [companionOn, setCompanionOn] = useState(false);
+  const [companion, setCompanion] = useState({ status: "off", code: "", urls: [] });
+  const [submissions, setSubmissions] = useState([]); // guesses: { id, teamId, roundId, text, at, elapsed, source, awarded, verdict }
+  const [judgeTolerance, setJudgeTolerance] = usePackStorage("pg_judge_tolerance_v1", DEFAULT_TOLERANCE);
+  const [basePoints, setBasePoints] = usePackStorage("pg_points_v1", 3); // for a correct answer, before hint penalties
+  const [clock, setClock] = useState(makeClock); // see clock.js
+  const [now, setNow] = useState(Date.now); // last clock frame, only advanced while the clock runs
+  const [clockMode, setClockMode] = usePackStorage("pg_clockmode_v1", "countdown"); // see CLOCK_MODES
+  const [pauseOnHint, setPauseOnHint] = usePackStorage("pg_pauseonhint_v1", false);
+  const [buzzerMode, setBuzzerMode] = usePackStorage("pg_buzzer_v1", false); // see buzzer.js
   const [previewUnblur, setPreviewUnblur] = useState(false);
   const [toast, setToast] = useState("");
+  const [pendingImport, setPendingImport] = useState(null); // inspected pack awaiting the user's merge/replace choice
+  const [keyBindings, setKeyBindings] = useLocalStorage("pg_keys_v1", defaultBindings, withDefaultBindings);
+  // device setup like key bindings: which window drives the speakers depends on the room, not the game
+  const [audio, setAudio] = useLocalStorage("pg_audio_v1", DEFAULT_AUDIO, (a) => ({ ...DEFAULT_AUDIO, ...a }));
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [phase, setPhase] = useState(PHASE.TITLE); // game flow, see flow.js
+  const [participantOpen, setParticipantOpen] = useState(false); // a participant window has said hello and not goodbye
+  const [session, setSession] = usePackStorage("pg_session_v1", null); // live game snapshot, see session.js
+  const [resumeOffer, setResumeOffer] = useState(() => (isResumable(session) ? session : null)); // snapshot found on load
+  const [roundFilter, setRoundFilter] = useState({ text: "", tag: "", missingAnswer: false });
+  const [shuffleSeed, setShuffleSeed] = useState("");
+  const [drag, setDrag] = useState(null); // rounds list drag: { from, over } indices
 
   const fileRef = useRef(null);
+  const packRef = useRef(null);
   const tickRef = useRef(null);
+  const roundStartRef = useRef(0); // when the current round was (re)started, so older guesses don't stop its clock
 
+  // Object URLs saved in localStorage died with the previous page; rebuild them from IndexedDB.
   useEffect(() => {
-    if (!isRunning) return;
-    const t0 = performance.now() - elapsed * 1000;
-    tickRef.current = requestAnimationFrame(function loop(ts) {
-      const e = Math.max(0, (ts - t0) / 1000);
-      setElapsed(Math.min(e, duration));
-      if (e < duration) {
-        tickRef.current = requestAnimationFrame(loop);
+    let cancelled = false;
+    (async () => {
+      const urls = await loadImageUrls(rounds.flatMap((r) => [r.id, thumbId(r.id)]));
+      if (cancelled) {
+        Object.values(urls).forEach((u) => URL.revokeObjectURL(u));
+        return;
+      }
+      setRounds((arr) => arr.map((r) => ({ ...r, imageUrl: urls[r.id] || "", thumbUrl: urls[thumbId(r.id)] || "" })));
+      // rounds added before thumbnails existed get theirs now, one at a time
+      for (const r of rounds) {
+        if (!urls[r.id] || urls[thumbId(r.id)]) continue;
+        const thumb = await getImage(r.id).then(makeThumbnail).catch(() => null);
+        if (cancelled) return;
+        if (!thumb) continue;
+        await putImage(thumbId(r.id), thumb).catch(() => {});
+        const thumbUrl = URL.createObjectURL(thumb);
+        setRounds((arr) => arr.map((x) => (x.id === r.id ? { ...x, thumbUrl } : x)));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  useEffect(() => {
+    let url = "";
+    getImage(mapId)
+      .then((blob) => {
+        if (!blob) return;
+        url = URL.createObjectURL(blob);
+        setMapUrl(url);
+      })
+      .catch(() => {});
+    return () => url && URL.revokeObjectURL(url);
+  }, []);
+
+  const activeRound = rounds[current] || null;
+  // what the active round plays with: its own overrides on top of the global settings
+  const play = roundSettings(activeRound, { duration, autoUnblur, startBlur, initialZoom, points: basePoints });
+  const clockNow = clockStatus(clock, { mode: clockMode, duration: play.duration }, now);
+  const isRunning = clock.running;
+  const elapsed = clockNow.elapsed;
+  // wager rounds take bets until their clock first starts; players don't see the image meanwhile
+  const betsOpen = isWager(activeRound) && !activeRound.settlement && !activeRound.betsLocked && phase === PHASE.ROUND;
+
+  // Sound cues play here or in the participant window, whichever is on the room speakers (see audio.js).
+  const cue = (sound) => {
+    if (audio.muted) return;
+    if (audio.output === "participant") syncRef.current?.post(MSG.CUE, { sound, volume: audio.volume });
+    else playSound(sound, audio.volume);
+  };
+  const cueRef = useRef(cue);
+  cueRef.current = cue;
+
+  // The loop only renders frames and stops the clock at its limit; elapsed time comes from the clock itself,
+  // so pausing, resetting or editing the duration mid-round never leaves it with a stale start time.
+  useEffect(() => {
+    if (!clock.running) return;
+    tickRef.current = requestAnimationFrame(function loop() {
+      const t = Date.now();
+      const status = clockStatus(clock, { mode: clockMode, duration: play.duration }, t);
+      setNow(t);
+      if (status.expired) {
+        setClock(expireClock(clock, status.limit, t));
+        cueRef.current("timeUp");
       } else {
-        setIsRunning(false);
+        tickRef.current = requestAnimationFrame(loop);
       }
     });
     return () => cancelAnimationFrame(tickRef.current);
-  }, [isRunning, duration]);
+  }, [clock, clockMode, play.duration]);
 
-  const progress = duration > 0 ? Math.min(1, elapsed / duration) : 0;
-  const activeRound = rounds[current] || null;
-  const liveBlur = previewUnblur ? 0 : autoUnblur ? Math.round((1 - progress) * startBlur) : startBlur;
+  // reveals run over the time limit, added time included; count-up clocks reveal over the round duration
+  const revealSpan = clockNow.limit ?? play.duration;
+  const progress = revealSpan > 0 ? Math.min(1, elapsed / revealSpan) : 1;
+  // 0 = fully hidden, 1 = fully revealed; drives whichever reveal effect is selected (kept to 1% steps for sync)
+  const revealAmount = previewUnblur ? 1 : play.autoUnblur ? Math.round(progress * 100) / 100 : 0;
+  const liveBlur = revealEffect === "blur" ? Math.round((1 - revealAmount) * play.startBlur) : 0;
 
   // Zoom calculation: starts at 200% (2.0) when timer starts, gradually zooms out to 100% (1.0)
-  const liveZoom = previewUnblur ? 1.0 : (isRunning && autoUnblur) ? 1.0 + ((initialZoom - 1) * (1 - progress)) : (elapsed > 0 ? 1.0 : initialZoom);
+  const zoomPhase = previewUnblur ? 1 : play.autoUnblur ? progress : (elapsed > 0 ? 1 : 0);
+  const liveZoom = 1.0 + (play.initialZoom - 1) * (1 - zoomPhase);
+  // ...around the round's focal point, panning toward its end point if it has one
+  const liveFocus = focusAt(activeRound, zoomPhase);
+  // multiple choice: how many options players see, all of them once the answer is out
+  const shownOptions = !isChoice(activeRound)
+    ? 0
+    : activeRound.reveal.answer || previewUnblur
+      ? activeRound.options.length
+      : visibleOptions(activeRound, progress);
   
   const openFiles = () => fileRef.current?.click();
-  const handleAddRounds = (files) => {
-    if (!files || files.length === 0) return;
-    const newRounds = Array.from(files).filter(Boolean).map((file) => {
-      const url = URL.createObjectURL(file);
-      return makeRound({ imageUrl: url, imageName: file.name });
-    });
+  // Stores `blob` (and its thumbnail, made here unless given) as the image of round `roundId`;
+  // returns the new object URLs. The caller revokes the round's old ones.
+  const storeImage = async (roundId, blob, thumb) => {
+    thumb ??= await makeThumbnail(blob).catch(() => null);
+    await putImage(roundId, blob).catch(() => {});
+    if (thumb) await putImage(thumbId(roundId), thumb).catch(() => {});
+    return { imageUrl: URL.createObjectURL(blob), thumbUrl: thumb ? URL.createObjectURL(thumb) : "" };
+  };
+  const dropRoundImages = (round) => {
+    if (round.imageUrl) URL.revokeObjectURL(round.imageUrl);
+    if (round.thumbUrl) URL.revokeObjectURL(round.thumbUrl);
+    deleteImage(round.id).catch(() => {});
+    deleteImage(thumbId(round.id)).catch(() => {});
+  };
+  // Stores an uploaded photo, scaled and compressed per the photo settings, as the image of round
+  // `roundId` and returns the round fields it fills in: capture time and GPS from EXIF, and the
+  // true location when the map's GPS bounds are set.
+  const importPhoto = async (roundId, file) => {
+    const { blob, thumb, takenAt, gps } = await preparePhoto(file, { strip: stripPhotos, ...photoSettings });
+    const urls = await storeImage(roundId, blob, thumb);
+    const location = gpsToMap(gps, mapInfo?.bounds);
+    return { ...urls, imageName: file.name, takenAt, gps, ...(location && { location }) };
+  };
+  const handleAddRounds = async (files) => {
+    const list = Array.from(files || []).filter(Boolean);
+    if (list.length === 0) return;
+    const newRounds = [];
+    const failed = [];
+    for (const file of list) {
+      const round = makeRound();
+      try {
+        newRounds.push({ ...round, ...(await importPhoto(round.id, file)) });
+      } catch {
+        failed.push(file.name);
+      }
+    }
+    // photos whose metadata couldn't be stripped are left out rather than stored with it
+    if (failed.length) alert(`Could not remove the metadata from ${failed.join(", ")}, so ${failed.length > 1 ? "they were" : "it was"} not added.`);
+    if (newRounds.length === 0) return;
     setRounds((r) => [...r, ...newRounds]);
     // Auto-select: first added if list was empty, else jump to the first newly added
     setCurrent((idx) => (rounds.length === 0 ? 0 : rounds.length));
@@ -108,43 +299,291 @@ export default function App() {
   };
 
   const updateRound = (id, patch) => {
-    setRounds((arr) => arr.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+    // normalizing keeps reveal.hints in step when the hint list changes length
+    setRounds((arr) => arr.map((r) => (r.id === id ? normalizeRound({ ...r, ...patch }) : r)));
   };
 
-  const resetReveals = (id) => updateRound(id, { reveal: { hint1: false, hint2: false, hint3: false, answer: false } });
+  const resetReveals = (id) => {
+    const round = rounds.find((r) => r.id === id);
+    if (round) updateRound(id, { reveal: hiddenReveal(round) });
+  };
 
+  // Starts round `idx` from scratch: timer, reveals and map guesses reset. A wager round that
+  // hasn't been settled opens its bets instead of starting the clock; starting it again locks them.
+  const beginRound = (idx) => {
+    const round = rounds[idx];
+    const collectBets = isWager(round) && !round.settlement;
+    setCurrent(idx);
+    setClock(collectBets ? makeClock() : startClock(makeClock(), Date.now()));
+    roundStartRef.current = Date.now();
+    setPreviewUnblur(false);
+    setPhase(PHASE.ROUND);
+    if (round) {
+      resetReveals(round.id);
+      updateRound(round.id, {
+        guesses: {},
+        mapAwarded: false,
+        buzzes: [],
+        eliminated: [],
+        choiceAwarded: false,
+        ...(collectBets && { bets: {}, betResults: {}, betsLocked: false }),
+      });
+    }
+  };
   const startRound = () => {
-    setElapsed(0);
-    setIsRunning(true);
-    if (activeRound) resetReveals(activeRound.id);
+    if (!betsOpen) return beginRound(current);
+    // the bets stay locked for the rest of the round, even if the clock is reset
+    updateRound(activeRound.id, { betsLocked: true });
+    resumeRound();
+  };
+  const pauseRound = () => setClock((c) => pauseClock(c, Date.now()));
+  const resumeRound = () => setClock((c) => startClock(c, Date.now()));
+  // back to the full time; a running clock keeps running
+  const resetTimer = () => setClock((c) => resetClock(c, Date.now()));
+  const addTime = (seconds) => setClock((c) => adjustClock(c, seconds));
+  // first-correct mode: a correct answer ends the round's clock
+  const stopForCorrect = (teamName) => {
+    if (clockMode !== "firstCorrect" || !isRunning) return;
+    pauseRound();
+    cue("timeUp");
+    setToast(`${teamName} got it first`);
+    setTimeout(() => setToast(""), 2000);
+  };
+
+  // Buzzer mode. The log is also kept in a ref, updated as each buzz lands, so two buzzes in the same
+  // frame can't both take the floor.
+  const buzzesRef = useRef([]);
+  buzzesRef.current = activeRound?.buzzes || [];
+  const floor = buzzerMode ? activeBuzz(activeRound?.buzzes) : null;
+  const buzzOpen = buzzerMode && phase === PHASE.ROUND && isRunning && !floor;
+  const buzz = (teamId, source) => {
+    const team = teams.find((t) => t.id === teamId);
+    // presses count while the clock runs, and are logged as locked while another team holds the floor
+    if (!buzzerMode || !activeRound || !team || phase !== PHASE.ROUND || !(isRunning || activeBuzz(buzzesRef.current))) return;
+    const entry = makeBuzz(buzzesRef.current, { teamId, at: Date.now(), elapsed, source });
+    buzzesRef.current = [...buzzesRef.current, entry];
+    updateRound(activeRound.id, { buzzes: buzzesRef.current });
+    if (entry.locked) return;
+    pauseRound();
+    cue("buzz");
+    setToast(`${team.name} buzzed in`);
+    setTimeout(() => setToast(""), 2000);
+  };
+  // right: the team gets the round's points and the clock stays stopped; wrong: everyone else may buzz again
+  const judgeBuzz = (right) => {
+    if (!floor) return;
+    updateRound(activeRound.id, { buzzes: markBuzz(activeRound.buzzes, floor.id, right ? "right" : "wrong") });
+    if (right) setTeamScore(teams.findIndex((t) => t.id === floor.teamId), availablePoints, "buzzer");
+    else if (!clockNow.expired) resumeRound();
   };
-  const pauseRound = () => setIsRunning(false);
 
-  const reveal = (key) => {
+  const revealHint = (i) => {
+    if (!activeRound || i >= activeRound.hints.length) return;
+    const hints = activeRound.reveal.hints.map((v, j) => (j === i ? !v : v));
+    if (hints[i]) {
+      cue("hint");
+      if (pauseOnHint) pauseRound();
+    }
+    updateRound(activeRound.id, { reveal: { ...activeRound.reveal, hints } });
+  };
+  const revealAnswer = () => {
     if (!activeRound) return;
-    const currentReveal = activeRound.reveal[key];
-    updateRound(activeRound.id, { reveal: { ...activeRound.reveal, [key]: !currentReveal } });
+    if (!activeRound.reveal.answer) {
+      cue("answer");
+      awardChoices();
+    }
+    updateRound(activeRound.id, { reveal: { ...activeRound.reveal, answer: !activeRound.reveal.answer } });
   };
 
+  // points a correct answer is still worth after the revealed hints' costs and caps
+  const availablePoints = applyHintPenalty(play.points, activeRound);
+
   const nextRound = () => {
-    setIsRunning(false);
-    setElapsed(0);
+    setClock(makeClock());
     setCurrent((i) => Math.min(i + 1, Math.max(0, rounds.length - 1)));
   };
   const prevRound = () => {
-    setIsRunning(false);
-    setElapsed(0);
+    setClock(makeClock());
     setCurrent((i) => Math.max(i - 1, 0));
   };
 
-  const setTeamScore = (idx, delta) => {
-    setTeams((ts) => ts.map((t, i) => (i === idx ? { ...t, score: Math.max(0, t.score + delta) } : t)));
+  // Game flow: one action steps title → round → reveal → leaderboard → … → podium
+  const advance = () => {
+    const step = nextStep(phase, current, rounds.length);
+    if (!step) return;
+    if (step.phase === PHASE.ROUND) return beginRound(step.index);
+    pauseRound();
+    if (step.phase === PHASE.REVEAL && activeRound && !activeRound.reveal.answer) revealAnswer();
+    if (step.phase === PHASE.TITLE) {
+      setClock(makeClock());
+      setCurrent(0);
+    }
+    setPhase(step.phase);
+  };
+
+  // changes: [{ teamId, delta }], recorded as one undoable batch against the current round
+  const recordScores = (changes, reason) => {
+    setScoreLog((log) => recordBatch(log, changes, { roundId: activeRound?.id ?? null, reason }));
+  };
+  const setTeamScore = (idx, delta, reason = "manual") => {
+    if (teams[idx]) recordScores([{ teamId: teams[idx].id, delta }], reason);
   };
   const renameTeam = (idx, name) => setTeams((ts) => ts.map((t, i) => (i === idx ? { ...t, name } : t)));
-  const resetScores = () => setTeams((ts) => ts.map((t) => ({ ...t, score: 0 })));
+  const patchTeam = (idx, patch) => setTeams((ts) => withColors(ts).map((t, i) => (i === idx ? { ...t, ...patch } : t)));
+  const addTeam = () => setTeams((ts) => [...withColors(ts), makeTeam(withColors(ts))]);
+  // the removed team's score events stay in the log but no longer count toward any team
+  const removeTeam = (idx) => setTeams((ts) => withColors(ts).filter((_, i) => i !== idx));
+  const moveTeam = (idx, dir) =>
+    setTeams((ts) => {
+      const next = withColors(ts);
+      const to = idx + dir;
+      if (to < 0 || to >= next.length) return ts;
+      [next[idx], next[to]] = [next[to], next[idx]];
+      return next;
+    });
+  const setTeamLogo = async (idx, file) => {
+    try {
+      patchTeam(idx, { logo: await logoDataUrl(file) });
+    } catch (err) {
+      setToast(err.message);
+      setTimeout(() => setToast(""), 2000);
+    }
+  };
+  const { leaders } = leadingTeams(teams);
+  const resetScores = () => recordScores(teams.map((t) => ({ teamId: t.id, delta: -t.score })), "reset");
+  const undoScore = () => setScoreLog(undoLast);
+  const redoScore = () => setScoreLog(redoLast);
+
+  // Keyboard shortcuts (remappable, see shortcuts.js). The listener is registered once and reads
+  // the latest handlers and bindings through a ref.
+  const shortcutHandlers = {
+    startPause: () => {
+      if (!activeRound) return;
+      if (isRunning) pauseRound();
+      else if (elapsed > 0 && !clockNow.expired) resumeRound();
+      else startRound();
+    },
+    advance,
+    nextRound,
+    prevRound,
+    answer: revealAnswer,
+    preview: () => setPreviewUnblur((v) => !v),
+    undo: undoScore,
+    redo: redoScore,
+    cheatSheet: () => setShowShortcuts((v) => !v),
+    mute: () => setAudio((a) => ({ ...a, muted: !a.muted })),
+  };
+  for (let i = 0; i < MAX_HINT_KEYS; i++) shortcutHandlers[`hint${i + 1}`] = () => revealHint(i);
+  for (let i = 0; i < MAX_TEAM_KEYS; i++) shortcutHandlers[`buzz${i + 1}`] = () => teams[i] && buzz(teams[i].id, "key");
+  for (let i = 0; i < MAX_TEAM_KEYS; i++) {
+    shortcutHandlers[`award${i + 1}`] = () => {
+      if (!activeRound || !teams[i]) return;
+      setTeamScore(i, availablePoints);
+      setToast(`+${availablePoints} ${teams[i].name}`);
+      setTimeout(() => setToast(""), 2000);
+      stopForCorrect(teams[i].name);
+    };
+  }
+  const shortcutsRef = useRef(null);
+  shortcutsRef.current = { handlers: shortcutHandlers, bindings: keyBindings };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.repeat || isTypingTarget(e.target)) return;
+      const { handlers, bindings } = shortcutsRef.current;
+      const action = actionForCombo(bindings, eventCombo(e));
+      if (!action || !handlers[action]) return;
+      e.preventDefault();
+      handlers[action]();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Map mode: campus map, guess pins and distance scoring
+  const loadMap = (file) => {
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      putImage(mapId, file).catch(() => {});
+      if (mapUrl) URL.revokeObjectURL(mapUrl);
+      setMapUrl(url);
+      setMapInfo({ name: file.name, aspect: img.naturalWidth / img.naturalHeight });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      setToast("Could not read that map image");
+      setTimeout(() => setToast(""), 2000);
+    };
+    img.src = url;
+  };
+  const setMapBounds = (patch) => setMapInfo((m) => ({ ...m, bounds: { ...m.bounds, ...patch } }));
+  // Fills the true location of rounds that have photo GPS but no location yet.
+  const placeRoundsFromGps = () => {
+    const placed = rounds.filter((r) => !r.location && gpsToMap(r.gps, mapInfo?.bounds)).length;
+    setRounds((arr) => arr.map((r) => (r.location ? r : { ...r, location: gpsToMap(r.gps, mapInfo?.bounds) })));
+    setToast(placed ? `Placed ${placed} round${placed > 1 ? "s" : ""} on the map` : "No unplaced rounds with GPS on this map");
+    setTimeout(() => setToast(""), 2000);
+  };
+
+  const placeGuess = (x, y) => {
+    const team = teams[guessTeam];
+    if (!activeRound || !team || activeRound.mapAwarded) return;
+    updateRound(activeRound.id, { guesses: { ...activeRound.guesses, [team.id]: { x, y } } });
+    // advance to the next team without a guess so the host can click through the room
+    const next = teams.findIndex((t, i) => i > guessTeam && !activeRound.guesses?.[t.id]);
+    if (next >= 0) setGuessTeam(next);
+  };
+
+  const mapResults = mapMode && activeRound ? scoreGuesses(teams, activeRound, mapInfo?.aspect, mapScoring) : [];
+
+  // Wager rounds: bets are entered here or arrive from team devices; settling records one event per team.
+  // a functional update, so bets arriving together from several devices don't overwrite each other;
+  // once the bets are locked nothing changes them, from here or from a device
+  const placeBet = (teamId, amount) => {
+    const team = teams.find((t) => t.id === teamId);
+    if (!betsOpen || !team) return;
+    setRounds((arr) =>
+      arr.map((r) => {
+        if (r.id !== activeRound.id) return r;
+        const bets = { ...r.bets };
+        if (amount === "" || amount == null) delete bets[teamId];
+        else bets[teamId] = clampBet(amount, team.score);
+        return { ...r, bets };
+      })
+    );
+  };
+  const receiveBuzzRef = useRef(null);
+  receiveBuzzRef.current = (teamId, roundId) => roundId === activeRound?.id && buzz(teamId, "device");
+  // device bets only count for the round they were sent in
+  const receiveBetRef = useRef(null);
+  receiveBetRef.current = ({ teamId, roundId, amount }) => {
+    if (roundId === activeRound?.id) placeBet(teamId, amount);
+  };
+  const markBet = (teamId, right) => {
+    if (!activeRound || activeRound.settlement) return;
+    updateRound(activeRound.id, { betResults: { ...activeRound.betResults, [teamId]: right } });
+  };
+  const settleBets = () => {
+    if (!activeRound || activeRound.settlement || unmarkedTeams(activeRound).length) return;
+    const rows = settlementRows(activeRound, teams);
+    recordScores(settlementChanges(rows), "wager");
+    updateRound(activeRound.id, { settlement: rows });
+  };
+  // Forgets the bets; points already settled stay on the scoreboard (undo them there).
+  const resetBets = () => activeRound && updateRound(activeRound.id, { bets: {}, betResults: {}, settlement: null });
+
+  const awardMapPoints = () => {
+    if (!activeRound || activeRound.mapAwarded || !activeRound.location) return;
+    recordScores(mapResults.map((r) => ({ teamId: r.teamId, delta: applyHintPenalty(r.points, activeRound) })), "map guess");
+    updateRound(activeRound.id, { mapAwarded: true });
+  };
 
   // Delete round functionality
   const deleteRound = (id) => {
+    const round = rounds.find((r) => r.id === id);
+    if (round) dropRoundImages(round);
     setRounds((arr) => arr.filter((r) => r.id !== id));
     // Adjust current index if needed
     setCurrent((idx) => {
@@ -157,248 +596,395 @@ export default function App() {
     setTimeout(() => setToast(""), 2000);
   };
 
-  // Participant view functionality
+  // Round library: reordering keeps the active round selected
+  const reorderRounds = (next) => {
+    const activeId = activeRound?.id;
+    setRounds(next);
+    setCurrent(Math.max(0, next.findIndex((r) => r.id === activeId)));
+  };
+  const moveRound = (from, to) => {
+    if (from === to) return;
+    const next = [...rounds];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    reorderRounds(next);
+  };
+  const shuffleRounds = () => {
+    // a blank seed gets a fresh one, shown in the field so the order can be reproduced later
+    const seed = shuffleSeed.trim() || Math.random().toString(36).slice(2, 8);
+    setShuffleSeed(seed);
+    reorderRounds(seededShuffle(rounds, seed));
+    setToast(`Shuffled with seed "${seed}"`);
+    setTimeout(() => setToast(""), 2000);
+  };
+  const duplicateRound = async (id) => {
+    const source = rounds.find((r) => r.id === id);
+    if (!source) return;
+    const copy = makeRound({
+      ...source,
+      id: crypto.randomUUID(),
+      imageUrl: "",
+      thumbUrl: "",
+      // live play state starts over, as in a fresh round
+      reveal: hiddenReveal(source),
+      guesses: {},
+      mapAwarded: false,
+      bets: {},
+      betResults: {},
+      betsLocked: false,
+      settlement: null,
+      buzzes: [],
+      eliminated: [],
+      choiceAwarded: false,
+    });
+    const blob = await getImage(source.id).catch(() => null);
+    if (blob) Object.assign(copy, await storeImage(copy.id, blob, await getImage(thumbId(source.id)).catch(() => null)));
+    setRounds((arr) => {
+      const at = arr.findIndex((r) => r.id === id) + 1;
+      return [...arr.slice(0, at), copy, ...arr.slice(at)];
+    });
+    setCurrent(rounds.findIndex((r) => r.id === id) + 1);
+    setToast("Round duplicated");
+    setTimeout(() => setToast(""), 2000);
+  };
+  const knownTags = allTags(rounds);
+  const filtering = !!(roundFilter.text.trim() || roundFilter.tag || roundFilter.missingAnswer);
+  const visibleCount = filtering ? rounds.filter((r) => matchesFilter(r, roundFilter)).length : rounds.length;
+
+  // Participant view: a separate window of this app kept in sync over BroadcastChannel
   const openParticipantView = () => {
-    if (!activeRound?.imageUrl) {
-      setToast("No active round to display");
+    const win = window.open(participantUrl(), "participantView", "width=1200,height=800,scrollbars=no,resizable=yes");
+    if (!win) {
+      setToast("Pop-up blocked; allow pop-ups for this site");
       setTimeout(() => setToast(""), 2000);
       return;
     }
-    
-    const participantWindow = window.open('', 'participantView', 'width=1200,height=800,scrollbars=no,resizable=yes');
-    
-    participantWindow.document.write(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Campus GeoGuessr - Participant View</title>
-          <script src="https://cdn.tailwindcss.com"></script>
-          <style>
-            body { margin: 0; padding: 0; overflow: hidden; }
-            .participant-timer { 
-              position: fixed; 
-              top: 20px; 
-              right: 20px; 
-              z-index: 10; 
-              background: rgba(0,0,0,0.8); 
-              color: white; 
-              padding: 10px 15px; 
-              border-radius: 10px; 
-              font-family: monospace; 
-              font-size: 24px; 
-              font-weight: bold; 
-            }
-            .participant-image { 
-              width: 100vw; 
-              height: 100vh; 
-              object-fit: cover; 
-              filter: blur(${liveBlur}px); 
-              transform: scale(${liveZoom});
-              transition: transform 0.3s ease-out;
-            }
-            .participant-hints {
-              position: fixed;
-              top: 20px;
-              left: 20px;
-              z-index: 10;
-              max-width: 400px;
-            }
-            .participant-hint {
-              background: rgba(0,0,0,0.8);
-              color: white;
-              padding: 8px 12px;
-              margin: 5px 0;
-              border-radius: 6px;
-              font-size: 14px;
-            }
-            .participant-answer {
-              background: rgba(34,197,94,0.9);
-              color: white;
-              padding: 8px 12px;
-              margin: 5px 0;
-              border-radius: 6px;
-              font-size: 14px;
-              font-weight: bold;
-            }
-            .participant-center-answer {
-              position: fixed;
-              top: 50%;
-              left: 50%;
-              transform: translate(-50%, -50%);
-              z-index: 15;
-              pointer-events: none;
-            }
-            .participant-answer-center {
-              background: rgba(34, 197, 94, 0.95);
-              color: white;
-              padding: 12px 24px;
-              border-radius: 12px;
-              font-size: 18px;
-              font-weight: bold;
-              text-align: center;
-              box-shadow: 0 4px 20px rgba(0,0,0,0.5);
-              border: 2px solid rgba(34, 197, 94, 0.8);
-              backdrop-filter: blur(10px);
-            }
-          </style>
-        </head>
-        <body>
-          <img src="${activeRound.imageUrl}" alt="${activeRound.imageName || 'Round'}" class="participant-image" id="participantImage" />
-          
-          <div class="participant-timer" id="participantTimer">
-            ${Math.floor((duration - elapsed) / 60)}:${String(Math.floor((duration - elapsed) % 60)).padStart(2, '0')}
-          </div>
-          
-          <div class="participant-hints" id="participantHints">
-            ${activeRound.reveal.hint1 && activeRound.hints[0] ? `<div class="participant-hint">Hint 1: ${activeRound.hints[0]}</div>` : ''}
-            ${activeRound.reveal.hint2 && activeRound.hints[1] ? `<div class="participant-hint">Hint 2: ${activeRound.hints[1]}</div>` : ''}
-            ${activeRound.reveal.hint3 && activeRound.hints[2] ? `<div class="participant-hint">Hint 3: ${activeRound.hints[2]}</div>` : ''}
-          </div>
-          
-          <!-- Center answer display -->
-          <div class="participant-center-answer" id="participantCenterAnswer">
-            ${activeRound.reveal.answer && activeRound.answer ? `
-              <div class="participant-answer-center">
-                ${activeRound.answer}
-              </div>
-            ` : ''}
-          </div>
-          
-          <script>
-            // Sync with parent window
-            let lastUpdate = Date.now();
-            
-            function updateParticipantView() {
-              try {
-                if (window.opener && !window.opener.closed) {
-                  const parentData = window.opener.getParticipantData && window.opener.getParticipantData();
-                  if (parentData) {
-                    document.getElementById('participantImage').style.filter = 'blur(' + parentData.blur + 'px)';
-                    document.getElementById('participantImage').style.transform = 'scale(' + parentData.zoom + ')';
-
-                    document.getElementById('participantTimer').textContent = 
-                      Math.floor(parentData.remaining / 60) + ':' + String(Math.floor(parentData.remaining % 60)).padStart(2, '0');
-                    
-                    // Update hints
-                    let hintsHtml = '';
-                    if (parentData.reveal.hint1 && parentData.hints[0]) {
-                      hintsHtml += '<div class="participant-hint">Hint 1: ' + parentData.hints[0] + '</div>';
-                    }
-                    if (parentData.reveal.hint2 && parentData.hints[1]) {
-                      hintsHtml += '<div class="participant-hint">Hint 2: ' + parentData.hints[1] + '</div>';
-                    }
-                    if (parentData.reveal.hint3 && parentData.hints[2]) {
-                      hintsHtml += '<div class="participant-hint">Hint 3: ' + parentData.hints[2] + '</div>';
-                    }
-                    document.getElementById('participantHints').innerHTML = hintsHtml;
-
-                    // Update center answer
-                    const centerAnswerHtml = parentData.reveal.answer && parentData.answer 
-                      ? '<div class="participant-answer-center">' + parentData.answer + '</div>'
-                      : '';
-                    document.getElementById('participantCenterAnswer').innerHTML = centerAnswerHtml;
-                  }
-                }
-              } catch (e) {
-                // Parent window closed or blocked
-              }
-            }
-            
-            // Update every 100ms for smooth sync
-            setInterval(updateParticipantView, 100);
-            
-            // Handle window close
-            window.addEventListener('beforeunload', function() {
-              if (window.opener && !window.opener.closed) {
-                window.opener.setParticipantViewClosed && window.opener.setParticipantViewClosed();
-              }
-            });
-          </script>
-        </body>
-      </html>
-    `);
-    
-    participantWindow.document.close();
+    setParticipantOpen(true);
     setToast("Participant view opened");
     setTimeout(() => setToast(""), 2000);
   };
 
-  // Export / Import (note: object URLs won't persist after reload; reattach images)
-  const exportPack = () => {
-    const payload = {
-      meta: { name: "ProjectorGeoGuess Pack", version: 1, exportedAt: new Date().toISOString() },
-      rounds: rounds.map((r) => ({
-        imageName: r.imageName,
-        imageUrl: r.imageUrl,
-        answer: r.answer,
-        hints: r.hints,
-      })),
-      teams,
-      settings: { duration, autoUnblur, startBlur },
-    };
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = `projector-geoguess-pack-${Date.now()}.json`;
-    a.click();
+  // Session snapshot: puts a reloaded game back where it was, see session.js
+  const resumeGame = ({ countDowntime, reopenParticipant }) => {
+    const snap = resumeOffer;
+    const idx = rounds.findIndex((r) => r.id === snap.roundId);
+    const t = Date.now();
+    setResumeOffer(null);
+    if (idx >= 0) setCurrent(idx);
+    setPhase(Object.values(PHASE).includes(snap.phase) ? snap.phase : PHASE.TITLE);
+    setClock(idx >= 0 ? resumeClock(snap, t, countDowntime) : makeClock());
+    setNow(t);
+    setPreviewUnblur(!!snap.previewUnblur);
+    if (reopenParticipant) openParticipantView();
   };
 
-  const importPack = (file) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const obj = JSON.parse(String(e.target?.result || "{}"));
-        if (obj?.rounds) {
-          const mapped = obj.rounds.map((r) => makeRound({
-            imageUrl: r.imageUrl || "",
-            imageName: r.imageName || "",
-            answer: r.answer || "",
-            hints: r.hints || ["", "", ""],
-          }));
+  // Export / Import: a single zip pack with the manifest and every round image
+  const exportPack = async () => {
+    try {
+      const blob = await buildPack({
+        name: packName,
+        rounds,
+        teams,
+        settings: { duration, autoUnblur, startBlur, initialZoom, points: basePoints, judgeTolerance, revealEffect, clockMode, pauseOnHint, buzzerMode, mapMode, mapScoring, stripMetadata: stripPhotos, photo: photoSettings },
+        map: mapInfo && { ...mapInfo, imageId: mapId },
+        strip: stripPhotos,
+      });
+      const slug = packName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "pack";
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `${slug}-${Date.now()}.zip`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+    }
+  };
+
+  // Import is two-step: inspect the pack and show a report, then apply the user's choices.
+  const importPack = async (file) => {
+    const inspected = await inspectPack(file);
+    setPendingImport({ ...inspected, fileName: file.name });
+  };
+
+  const applyImport = async ({ rounds: roundsMode, teams: teamsMode, settings: settingsMode }) => {
+    const { manifest: obj, images } = pendingImport;
+    setPendingImport(null);
+    try {
+      if (obj.rounds && roundsMode !== "skip") {
+        if (roundsMode === "replace") rounds.forEach(dropRoundImages);
+        const mapped = [];
+        for (const r of obj.rounds) {
+          const round = normalizeRound(
+            makeRound({
+              imageName: r.imageName || "",
+              title: r.title || "",
+              type: ROUND_TYPES.some((t) => t.id === r.type) ? r.type : "standard",
+              options: r.options || [],
+              correctOption: r.correctOption ?? 0,
+              optionReveal: r.optionReveal || "all",
+              answer: r.answer || "",
+              aliases: r.aliases || [],
+              tags: r.tags || [],
+              hints: r.hints.map((h) => ({ ...makeHint(), ...h })),
+              location: r.location ?? null,
+              overrides: r.overrides || {},
+              focus: r.focus ?? null,
+              focusEnd: r.focusEnd ?? null,
+              takenAt: r.takenAt ?? null,
+              gps: r.gps ?? null,
+            })
+          );
+          const blob = r.image ? images.get(r.image) : null;
+          if (blob) Object.assign(round, await storeImage(round.id, blob));
+          mapped.push(round);
+        }
+        if (roundsMode === "replace") {
           setRounds(mapped);
           setCurrent(0);
+        } else {
+          setRounds((arr) => [...arr, ...mapped]);
+          setCurrent(rounds.length);
         }
-        if (obj?.teams) setTeams(obj.teams);
-        if (obj?.settings) {
-          setDuration(obj.settings.duration ?? 60);
-          setAutoUnblur(!!obj.settings.autoUnblur);
-          setStartBlur(obj.settings.startBlur ?? 18);
+      }
+      if (obj.teams && teamsMode !== "skip") {
+        const known = (t) => teamList.some((x) => x.id === t.id);
+        // merge keeps current teams and scores, adding only teams with new ids
+        const incoming = teamsMode === "replace" ? obj.teams : obj.teams.filter((t) => !known(t));
+        const kept = teamsMode === "replace" ? [] : teamList;
+        setTeams(withColors([...kept, ...incoming.map(({ score, ...t }) => t)]));
+        recordScores(incoming.map((t) => ({ teamId: t.id, delta: (t.score ?? 0) - (totals[t.id] ?? 0) })), "pack import");
+      }
+      if (obj.settings && settingsMode === "replace") {
+        const st = { ...DEFAULT_SETTINGS, ...obj.settings };
+        setDuration(st.duration);
+        setAutoUnblur(st.autoUnblur);
+        setStartBlur(st.startBlur);
+        setInitialZoom(st.initialZoom);
+        setBasePoints(st.points);
+        setJudgeTolerance(st.judgeTolerance);
+        setRevealEffect(REVEAL_EFFECTS.some((fx) => fx.id === st.revealEffect) ? st.revealEffect : "blur");
+        setClockMode(CLOCK_MODES.some((m) => m.id === st.clockMode) ? st.clockMode : "countdown");
+        setPauseOnHint(st.pauseOnHint);
+        setBuzzerMode(st.buzzerMode);
+        setMapMode(st.mapMode);
+        setMapScoring({ ...DEFAULT_MAP_SCORING, ...st.mapScoring });
+        setStripPhotos(st.stripMetadata);
+        setPhotoSettings({ ...DEFAULT_PHOTO_SETTINGS, ...st.photo });
+        const mapBlob = obj.map?.image ? images.get(obj.map.image) : null;
+        if (mapBlob) {
+          await putImage(mapId, mapBlob);
+          if (mapUrl) URL.revokeObjectURL(mapUrl);
+          setMapUrl(URL.createObjectURL(mapBlob));
+          setMapInfo({ name: obj.map.name || "map", aspect: obj.map.aspect, ...(validBounds(obj.map.bounds) && { bounds: obj.map.bounds }) });
         }
-      } catch (err) {
-        alert("Import failed: invalid JSON");
       }
-    };
-    reader.readAsText(file);
-  };
-
-  // Helper functions for participant view sync
-  const getParticipantData = () => {
-    if (!activeRound) return null;
-    const remaining = Math.max(0, Math.round(duration - elapsed));
-      return {
-      blur: liveBlur,
-      zoom: liveZoom,
-      remaining: remaining,
-      reveal: activeRound.reveal,
-      hints: activeRound.hints,
-      answer: activeRound.answer
-    };
+      setToast("Pack imported");
+      setTimeout(() => setToast(""), 2000);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
   };
 
-  const setParticipantViewClosed = () => {
-    setToast("Participant view closed");
-    setTimeout(() => setToast(""), 2000);
+  // Latest payload per message type, so a HELLO from a (re)opened participant window gets a full snapshot
+  const remaining = clockNow.remaining == null ? null : Math.round(clockNow.remaining);
+  // what the clock face shows: time left, or time taken when counting up
+  const clockFace = remaining ?? Math.floor(elapsed);
+  const roundAwards = useMemo(() => (activeRound ? roundBreakdown(scoreLog.events)[activeRound.id] || {} : {}), [scoreLog, activeRound?.id]);
+  const syncPayloads = {
+    [MSG.ROUND]: {
+      round: activeRound && {
+        id: activeRound.id,
+        imageUrl: activeRound.imageUrl,
+        title: activeRound.title,
+        hints: activeRound.hints,
+        answer: roundAnswer(activeRound),
+      },
+      index: current,
+      total: rounds.length,
+    },
+    [MSG.REVEAL]: { reveal: activeRound?.reveal ?? null, points: availablePoints },
+    [MSG.TICK]: { time: clockFace, countUp: remaining == null, isRunning, effect: revealEffect, amount: revealAmount, blur: liveBlur, zoom: liveZoom, focus: liveFocus },
+    [MSG.SCORES]: { teams },
+    [MSG.PHASE]: { phase, index: current, total: rounds.length, awarded: roundAwards },
+    [MSG.AUDIO]: { output: audio.output, muted: audio.muted },
+    [MSG.WAGER]: {
+      active: isWager(activeRound),
+      open: betsOpen,
+      placed: Object.keys(activeRound?.bets || {}),
+      settlement: activeRound?.settlement ?? null,
+    },
+    [MSG.CHOICE]: {
+      options: isChoice(activeRound)
+        ? activeRound.options.slice(0, shownOptions).map((text, i) => ({ letter: optionLetter(i), text, eliminated: activeRound.eliminated.includes(i) }))
+        : [],
+      correct: isChoice(activeRound) && activeRound.reveal.answer ? activeRound.correctOption : null,
+    },
+    [MSG.BUZZ]: {
+      enabled: buzzerMode,
+      holder: floor?.teamId ?? null,
+      out: missedTeams(activeRound?.buzzes),
+    },
+    [MSG.MAP]: {
+      enabled: mapMode && !!mapInfo,
+      mapName: mapInfo?.name ?? "",
+      imageId: mapId,
+      aspect: mapInfo?.aspect ?? 1,
+      // guesses stay hidden from the room until the answer is revealed
+      revealed: !!activeRound?.reveal.answer,
+      location: activeRound?.reveal.answer ? activeRound.location : null,
+      results: activeRound?.reveal.answer
+        ? mapResults.map((r, i) => ({
+            ...r,
+            name: teams[i].name,
+            color: teams[i].color,
+            distance: formatDistance(r.distance, mapScoring),
+          }))
+        : [],
+    },
   };
+  const syncPayloadsRef = useRef(syncPayloads);
+  syncPayloadsRef.current = syncPayloads;
+  const syncRef = useRef(null);
 
-  // Make functions available globally for participant window
   useEffect(() => {
-    window.getParticipantData = getParticipantData;
-    window.setParticipantViewClosed = setParticipantViewClosed;
+    const channel = createSyncChannel((msg) => {
+      if (msg.type === MSG.HELLO) {
+        setParticipantOpen(true);
+        Object.entries(syncPayloadsRef.current).forEach(([type, payload]) => channel.post(type, payload));
+      } else if (msg.type === MSG.BYE) {
+        setParticipantOpen(false);
+        setToast("Participant view closed");
+        setTimeout(() => setToast(""), 2000);
+      }
+    });
+    syncRef.current = channel;
     return () => {
-      delete window.getParticipantData;
-      delete window.setParticipantViewClosed;
+      syncRef.current = null;
+      channel.close();
     };
-  }, [activeRound, liveBlur, elapsed, duration]);
+  }, []);
+
+  // These also fire on mount, so a reloaded host re-announces itself to an already-open participant window.
+  const broadcast = (type) => syncRef.current?.post(type, syncPayloads[type]);
+  useEffect(() => broadcast(MSG.ROUND), [activeRound?.id, activeRound?.imageUrl, activeRound?.hints, activeRound?.answer, activeRound?.options, activeRound?.correctOption, current, rounds.length]);
+  useEffect(() => broadcast(MSG.REVEAL), [activeRound?.reveal, availablePoints]);
+  useEffect(() => broadcast(MSG.TICK), [clockFace, isRunning, revealEffect, revealAmount, liveBlur, liveZoom, liveFocus?.x, liveFocus?.y]);
+  useEffect(() => broadcast(MSG.SCORES), [teams]);
+  useEffect(() => broadcast(MSG.PHASE), [phase, current, rounds.length, JSON.stringify(roundAwards)]);
+  useEffect(() => broadcast(MSG.MAP), [JSON.stringify(syncPayloads[MSG.MAP])]);
+  useEffect(() => broadcast(MSG.AUDIO), [audio.output, audio.muted]);
+  useEffect(() => broadcast(MSG.WAGER), [JSON.stringify(syncPayloads[MSG.WAGER])]);
+  useEffect(() => broadcast(MSG.BUZZ), [JSON.stringify(syncPayloads[MSG.BUZZ])]);
+  useEffect(() => broadcast(MSG.CHOICE), [JSON.stringify(syncPayloads[MSG.CHOICE])]);
+
+  // Written on every change, and every second while the clock runs so `savedAt` stays close to the
+  // moment the page went down. Held back while a found snapshot is still being offered.
+  useEffect(() => {
+    if (resumeOffer) return;
+    setSession(makeSnapshot({ roundId: activeRound?.id ?? null, phase, clock, previewUnblur, participantOpen }, Date.now()));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [resumeOffer, activeRound?.id, phase, clock, previewUnblur, participantOpen, isRunning ? clockFace : null]);
+
+  // Countdown ticks over the last seconds; `remaining` changes once a second while the timer runs.
+  useEffect(() => {
+    if (isRunning && remaining > 0 && remaining <= COUNTDOWN_TICKS) cue("tick");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [remaining]);
+
+  // Companion server: team devices submit guesses over the venue's local network
+  useEffect(() => {
+    if (!companionOn) {
+      setCompanion({ status: "off", code: "", urls: [] });
+      return;
+    }
+    return connectCompanion(companionUrl, {
+      onStatus: (status) => setCompanion((c) => ({ ...c, status })),
+      onSnapshot: ({ code, urls, submissions: list, bets = [] }) => {
+        setCompanion((c) => ({ ...c, code, urls }));
+        bets.forEach((bet) => receiveBetRef.current(bet));
+        // keep host-typed guesses and the awards/overrides we already know about
+        setSubmissions((prev) => [
+          ...prev.filter((p) => p.source === "host"),
+          ...list.map((s) => ({ ...prev.find((p) => p.id === s.id), ...s, source: "device" })),
+        ]);
+      },
+      onSubmission: (sub) => setSubmissions((prev) => [...prev, { ...sub, source: "device" }]),
+      onBet: (bet) => receiveBetRef.current(bet),
+      onBuzz: ({ teamId, roundId }) => receiveBuzzRef.current(teamId, roundId),
+    });
+  }, [companionOn, companionUrl]);
+
+  useEffect(() => {
+    if (!companionOn || companion.status !== "connected") return;
+    pushCompanionState(companionUrl, {
+      round: activeRound && {
+        id: activeRound.id,
+        index: current,
+        total: rounds.length,
+        hints: activeRound.hints.filter((h, i) => h.text && activeRound.reveal.hints[i]).map((h) => h.text), // revealed hints only
+        wager: isWager(activeRound) ? { open: betsOpen, caps: Object.fromEntries(teams.map((t) => [t.id, t.score])) } : null,
+        buzzer: buzzerMode ? { open: buzzOpen, holder: floor?.teamId ?? null, out: missedTeams(activeRound.buzzes) } : null,
+        options: syncPayloads[MSG.CHOICE].options, // multiple choice: the options players can see so far
+      },
+      teams: teams.map((t) => ({ id: t.id, name: t.name })),
+      clock: { elapsed, duration: clockNow.limit ?? 0, isRunning, at: Date.now() }, // duration 0: no limit
+    }).catch(() => {});
+    // while running the server extrapolates the clock itself, so elapsed only matters when paused
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [companionOn, companion.status, activeRound?.id, activeRound?.reveal, activeRound?.hints, current, rounds.length, teams.map((t) => `${t.name}:${t.score}`).join("\n"), betsOpen, buzzOpen, floor?.id, JSON.stringify(syncPayloads[MSG.CHOICE].options), isRunning, clockNow.limit, isRunning ? null : elapsed]);
+
+  const awardSubmission = (sub, points) => {
+    const idx = teams.findIndex((t) => t.id === sub.teamId);
+    if (idx < 0 || sub.awarded) return;
+    setTeamScore(idx, points, sub.source === "device" ? "device guess" : "typed guess");
+    setSubmissions((prev) => prev.map((s) => (s.id === sub.id ? { ...s, awarded: points } : s)));
+  };
+
+  const clearSubmissions = () => {
+    if (companionOn) clearCompanionSubmissions(companionUrl).catch(() => {});
+    setSubmissions([]);
+  };
+
+  const addHostGuess = (teamId, text) => {
+    if (!activeRound || !text.trim()) return;
+    const guess = { id: crypto.randomUUID(), teamId, roundId: activeRound.id, text: text.trim(), at: Date.now(), elapsed, source: "host" };
+    setSubmissions((prev) => [...prev, guess]);
+  };
+
+  // verdict: "correct" | "wrong" overrides the automatic judgement; undefined goes back to it
+  const overrideVerdict = (id, verdict) => setSubmissions((prev) => prev.map((s) => (s.id === id ? { ...s, verdict } : s)));
+
+  const judgedSubmissions = submissions
+    .filter((s) => s.roundId === activeRound?.id)
+    .map((s) => ({
+      ...s,
+      judgement: isChoice(activeRound) ? judgeChoice(activeRound, s.text) : judgeGuess(s.text, acceptedAnswers(activeRound), judgeTolerance),
+    }));
+  // multiple choice: each team's first guess that names an option is its pick
+  const choicePicks = {};
+  if (isChoice(activeRound)) {
+    for (const s of [...judgedSubmissions].sort((a, b) => a.at - b.at)) {
+      if (s.judgement.confidence > 0 && !choicePicks[s.teamId]) choicePicks[s.teamId] = s;
+    }
+  }
+  // Multiple choice scores itself when the answer is revealed; picks already awarded by hand are skipped.
+  const awardChoices = () => {
+    if (!isChoice(activeRound) || activeRound.choiceAwarded) return;
+    const winners = Object.values(choicePicks).filter(
+      (s) => !s.awarded && teams.some((t) => t.id === s.teamId) && (s.verdict ? s.verdict === "correct" : s.judgement.correct)
+    );
+    recordScores(winners.map((s) => ({ teamId: s.teamId, delta: availablePoints })), "multiple choice");
+    setSubmissions((prev) => prev.map((s) => (winners.some((w) => w.id === s.id) ? { ...s, awarded: availablePoints } : s)));
+    updateRound(activeRound.id, { choiceAwarded: true });
+  };
+  const eliminate = (count) => activeRound && updateRound(activeRound.id, { eliminated: eliminateOptions(activeRound, count) });
+  const firstCorrect = judgedSubmissions.find(
+    (s) => s.at >= roundStartRef.current && (s.verdict ? s.verdict === "correct" : s.judgement.correct)
+  );
+  useEffect(() => {
+    if (firstCorrect) stopForCorrect(teams.find((t) => t.id === firstCorrect.teamId)?.name ?? "A team");
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [firstCorrect?.id]);
 
   return (
     <div className="min-h-screen w-full bg-slate-950 text-slate-100">
@@ -411,11 +997,28 @@ export default function App() {
         className="hidden"
         onChange={(e) => e.target.files && handleAddRounds(e.target.files)}
       />
+      <input
+        ref={packRef}
+        type="file"
+        accept=".zip,.json,application/zip,application/json"
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files?.[0]) importPack(e.target.files[0]);
+          e.target.value = "";
+        }}
+      />
 
       <div className="mx-auto max-w-[95vw] p-4 md:p-6 lg:p-8">
         <header className="mb-4 flex flex-col gap-2 md:flex-row md:items-end md:justify-between">
           <div>
             <h1 className="text-3xl md:text-4xl font-bold tracking-tight">Campus GeoGuessr</h1>
+            <button
+              onClick={() => setShowLibrary(true)}
+              className="mb-1 mt-1 rounded-lg bg-slate-800/60 px-2 py-1 text-sm text-slate-200 hover:bg-slate-700/60"
+              title="Switch, create or manage games"
+            >
+              📚 {packName} ▾
+            </button>
             <p className="text-sm text-slate-400">
               Click on 'Add Rounds' to upload photos,<br />
               'Start' to run a timer that auto‑unblurs the image,<br />
@@ -428,6 +1031,7 @@ export default function App() {
             </button>
             <button 
               onClick={() => {
+                rounds.forEach(dropRoundImages);
                 setRounds([]);
                 setCurrent(0);
                 setToast("All rounds cleared");
@@ -438,10 +1042,38 @@ export default function App() {
             >
               Clear all rounds
             </button>
+            <button
+              onClick={exportPack}
+              className="rounded-xl bg-slate-800/60 px-3 py-2 text-sm hover:bg-slate-700/60"
+              disabled={rounds.length === 0}
+              title="Download a pack file with images, answers, hints, teams and settings"
+            >
+              Export Pack
+            </button>
+            <button
+              onClick={() => packRef.current?.click()}
+              className="rounded-xl bg-slate-800/60 px-3 py-2 text-sm hover:bg-slate-700/60"
+              title="Load a pack file exported from another machine"
+            >
+              Import Pack
+            </button>
+            <button
+              onClick={() => setShowShortcuts(true)}
+              className="rounded-xl bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700"
+              title="Keyboard shortcuts (?)"
+            >
+              ⌨ Shortcuts
+            </button>
+            <button
+              onClick={() => setAudio((a) => ({ ...a, muted: !a.muted }))}
+              className="rounded-xl bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700"
+              title={audio.muted ? "Unmute sound cues (M)" : "Mute sound cues (M)"}
+            >
+              {audio.muted ? "🔇" : "🔊"}
+            </button>
             <button 
               onClick={openParticipantView}
               className="rounded-xl bg-blue-800/60 px-3 py-2 text-sm hover:bg-blue-700/60"
-              disabled={!activeRound}
               title="Open participant view in new window"
             >
               Participant view
@@ -475,20 +1107,15 @@ export default function App() {
                 </div>
                 <div className="text-center">
                   <div className="text-xs text-slate-400 mb-1">Leading Team</div>
-                  <div className={`text-lg font-semibold ${
-                    teams.length > 0 && teams.every(t => t.score === 0) 
-                      ? 'text-slate-400' 
-                      : (() => {
-                          const leadingTeam = teams.reduce((max, team) => team.score > max.score ? team : max, teams[0]);
-                          const teamColors = ['text-blue-400', 'text-red-400', 'text-green-400', 'text-purple-400'];
-                          return teamColors[teams.indexOf(leadingTeam)] || 'text-slate-400';
-                        })()
-                  }`}>
-                    {teams.length > 0 && teams.every(t => t.score === 0) 
-                      ? 'Tied' 
-                      : teams.reduce((max, team) => team.score > max.score ? team : max, teams[0]).name
-                    }
-                  </div>
+                  {leaders.length === 1 ? (
+                    <div className="text-lg font-semibold" style={{ color: leaders[0].color }}>
+                      <TeamMark team={leaders[0]} /> {leaders[0].name}
+                    </div>
+                  ) : (
+                    <div className="text-lg font-semibold text-slate-400">
+                      {leaders.length === 0 ? "No points yet" : `Tied: ${leaders.map((t) => t.name).join(", ")}`}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -496,6 +1123,40 @@ export default function App() {
 
           {/* Middle: Stage */}
           <div className="lg:col-span-2">
+            <div className="mb-3 flex flex-wrap items-center justify-between gap-2 rounded-2xl border border-white/10 bg-slate-900/60 px-3 py-2">
+              <div className="flex flex-wrap items-center gap-1 text-xs">
+                {Object.values(PHASE).map((p) => (
+                  <span key={p} className={`rounded-lg px-2 py-1 ${phase === p ? "bg-indigo-600 font-semibold" : "text-slate-400"}`}>
+                    {PHASE_LABELS[p]}
+                    {phase === p && (p === PHASE.ROUND || p === PHASE.REVEAL || p === PHASE.LEADERBOARD) && rounds.length > 0
+                      ? ` ${current + 1}/${rounds.length}`
+                      : ""}
+                  </span>
+                ))}
+              </div>
+              <div className="flex items-center gap-2">
+                {phase !== PHASE.TITLE && (
+                  <button
+                    onClick={() => {
+                      pauseRound();
+                      setPhase(PHASE.TITLE);
+                    }}
+                    className="rounded-lg bg-slate-800 px-3 py-1.5 text-xs hover:bg-slate-700"
+                    title="Show the title screen again"
+                  >
+                    Title screen
+                  </button>
+                )}
+                <button
+                  onClick={advance}
+                  disabled={rounds.length === 0}
+                  className="rounded-lg bg-emerald-600 px-3 py-1.5 text-sm font-semibold hover:bg-emerald-500 disabled:pointer-events-none disabled:opacity-50"
+                  title={`Advance the game (${(keyBindings.advance || []).map(formatCombo).join(", ") || "no key"})`}
+                >
+                  {advanceLabel(phase, current, rounds.length)} →
+                </button>
+              </div>
+            </div>
             <div
               className="relative aspect-[4/3] w-full overflow-hidden rounded-2xl bg-slate-900 shadow-xl ring-1 ring-white/10"
               onDragOver={(e) => e.preventDefault()}
@@ -503,15 +1164,15 @@ export default function App() {
               title="Tip: drag & drop images here"
             >
               {activeRound?.imageUrl ? (
-                <img
+                <RevealCanvas
                   src={activeRound.imageUrl}
-                  alt={activeRound.imageName || "round"}
-                  className="h-full w-full object-cover"
-                  style={{ 
-                    filter: `blur(${liveBlur}px)`,
-                    transform: `scale(${liveZoom})`,
-                    transition: 'transform 0.3s ease-out'
-                  }}
+                  alt={activeRound.title || `Round ${current + 1}`}
+                  effect={revealEffect}
+                  amount={revealAmount}
+                  blur={liveBlur}
+                  zoom={liveZoom}
+                  focus={liveFocus}
+                  seed={activeRound.id}
                 />
               ) : (
                 <div className="flex h-full w-full items-center justify-center text-slate-400">
@@ -523,7 +1184,7 @@ export default function App() {
               )}
 
               {/* Timer / progress overlay */}
-              <TimerOverlay isRunning={isRunning} elapsed={elapsed} duration={duration} />
+              <TimerOverlay isRunning={isRunning} status={clockNow} />
 
               {/* Bottom bar controls */}
               <div className="absolute inset-x-0 bottom-0 flex items-center justify-between gap-2 bg-gradient-to-t from-black/60 to-transparent p-3">
@@ -545,12 +1206,32 @@ export default function App() {
                     Pause
                   </button>
                   <button
-                    onClick={() => setElapsed(0)}
+                    onClick={resetTimer}
                     className="rounded-lg bg-slate-700 px-3 py-2 text-sm hover:bg-slate-600"
                     title="Reset Timer"
                   >
                    Reset
                   </button>
+                  {clockMode !== "countup" && (
+                    <>
+                      <button
+                        onClick={() => addTime(-TIME_STEP)}
+                        className="rounded-lg bg-slate-800/80 px-2 py-2 text-xs hover:bg-slate-700/80 disabled:pointer-events-none disabled:opacity-50"
+                        disabled={!activeRound}
+                        title={`Take ${TIME_STEP} seconds off the clock`}
+                      >
+                        −{TIME_STEP}s
+                      </button>
+                      <button
+                        onClick={() => addTime(TIME_STEP)}
+                        className="rounded-lg bg-slate-800/80 px-2 py-2 text-xs hover:bg-slate-700/80 disabled:pointer-events-none disabled:opacity-50"
+                        disabled={!activeRound}
+                        title={`Add ${TIME_STEP} seconds to the clock`}
+                      >
+                        +{TIME_STEP}s
+                      </button>
+                    </>
+                  )}
                 </div>
 
                 <div className="flex items-center gap-2">
@@ -562,41 +1243,22 @@ export default function App() {
                     {previewUnblur ? "Preview: Unblurred" : "Preview Unblur"}
                   </button>
 
+                  {activeRound?.hints.map((h, i) => (
+                    <button
+                      key={i}
+                      onClick={() => revealHint(i)}
+                      className={`rounded-lg px-3 py-2 text-xs ${
+                        activeRound.reveal.hints[i]
+                          ? "bg-emerald-600/80 hover:bg-emerald-500/80"
+                          : "bg-slate-800/80 hover:bg-slate-700/80"
+                      }`}
+                      title={h.text || "(empty hint)"}
+                    >
+                      Hint {i + 1}
+                    </button>
+                  ))}
                   <button
-                    onClick={() => reveal("hint1")}
-                    className={`rounded-lg px-3 py-2 text-xs ${
-                      activeRound?.reveal.hint1 
-                        ? "bg-emerald-600/80 hover:bg-emerald-500/80" 
-                        : "bg-slate-800/80 hover:bg-slate-700/80"
-                    }`}
-                    disabled={!activeRound}
-                  >
-                    Hint 1
-                  </button>
-                  <button
-                    onClick={() => reveal("hint2")}
-                    className={`rounded-lg px-3 py-2 text-xs ${
-                      activeRound?.reveal.hint2 
-                        ? "bg-emerald-600/80 hover:bg-emerald-500/80" 
-                        : "bg-slate-800/80 hover:bg-slate-700/80"
-                    }`}
-                    disabled={!activeRound}
-                  >
-                    Hint 2
-                  </button>
-                  <button
-                    onClick={() => reveal("hint3")}
-                    className={`rounded-lg px-3 py-2 text-xs ${
-                      activeRound?.reveal.hint3 
-                        ? "bg-emerald-600/80 hover:bg-emerald-500/80" 
-                        : "bg-slate-800/80 hover:bg-slate-700/80"
-                    }`}
-                    disabled={!activeRound}
-                  >
-                    Hint 3
-                  </button>
-                  <button
-                    onClick={() => reveal("answer")}
+                    onClick={revealAnswer}
                     className={`rounded-lg px-3 py-2 text-xs font-semibold ${
                       activeRound?.reveal.answer 
                         ? "bg-indigo-600/80 hover:bg-indigo-500/80" 
@@ -611,26 +1273,34 @@ export default function App() {
 
               {/* Top-left labels (hints when revealed) */}
               {activeRound && (
-                <div className="absolute left-3 top-3 space-y-1">
-                  {activeRound.reveal.hint1 && activeRound.hints[0] && (
-                    <Badge label={`Hint 1: ${activeRound.hints[0]}`} />
-                  )}
-                  {activeRound.reveal.hint2 && activeRound.hints[1] && (
-                    <Badge label={`Hint 2: ${activeRound.hints[1]}`} />
-                  )}
-                  {activeRound.reveal.hint3 && activeRound.hints[2] && (
-                    <Badge label={`Hint 3: ${activeRound.hints[2]}`} />
+                <div className="absolute left-3 top-3 flex flex-col items-start gap-1">
+                  {betsOpen && <Badge label="Bets open · image hidden from players" variant="warn" />}
+                  {activeRound.hints.map((h, i) =>
+                    activeRound.reveal.hints[i] && h.text ? <Badge key={i} label={`Hint ${i + 1}: ${h.text}`} /> : null
                   )}
+                  <Badge
+                    label={`Worth ${availablePoints} pt${availablePoints === 1 ? "" : "s"}`}
+                    variant={availablePoints < play.points ? "warn" : "neutral"}
+                  />
                 </div>
               )}
               {/* Center answer display */}
-              {activeRound && activeRound.reveal.answer && activeRound.answer && (
+              {activeRound && activeRound.reveal.answer && roundAnswer(activeRound) && (
                 <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
                   <div className="bg-emerald-600/95 text-white px-6 py-3 rounded-xl text-lg font-bold shadow-2xl border-2 border-emerald-400/50 backdrop-blur-sm">
-                    {activeRound.answer}
+                    {roundAnswer(activeRound)}
                   </div>
                 </div>
               )}
+              {/* Buzzer: the team holding the floor, and the host's verdict */}
+              {floor && (
+                <BuzzBanner
+                  team={teams.find((t) => t.id === floor.teamId)}
+                  points={availablePoints}
+                  onRight={() => judgeBuzz(true)}
+                  onWrong={() => judgeBuzz(false)}
+                />
+              )}
               {/* Toast */}
               {toast && (
                 <div className="absolute right-3 bottom-24 rounded-lg bg-black/70 px-3 py-2 text-xs">
@@ -639,44 +1309,178 @@ export default function App() {
               )}
             </div>
 
+            {mapMode && (
+              <MapGuessPanel
+                mapUrl={mapUrl}
+                aspect={mapInfo?.aspect}
+                round={activeRound}
+                teams={teams}
+                guessTeam={guessTeam}
+                setGuessTeam={setGuessTeam}
+                onPlace={placeGuess}
+                onClear={() => activeRound && updateRound(activeRound.id, { guesses: {} })}
+                results={mapResults}
+                scoring={mapScoring}
+                onAward={awardMapPoints}
+              />
+            )}
+
+            {isWager(activeRound) && (phase === PHASE.ROUND || phase === PHASE.REVEAL) && (
+              <WagerPanel
+                round={activeRound}
+                teams={teams}
+                open={betsOpen}
+                onBet={placeBet}
+                onMark={markBet}
+                onLock={startRound}
+                onSettle={settleBets}
+                onReset={resetBets}
+              />
+            )}
+
+            {isChoice(activeRound) && (
+              <ChoicePanel
+                round={activeRound}
+                shown={shownOptions}
+                teams={teams}
+                picks={choicePicks}
+                onPick={(teamId, i) => addHostGuess(teamId, optionLetter(i))}
+                onEliminate={eliminate}
+              />
+            )}
+
+            {buzzerMode && activeRound && <BuzzLog buzzes={activeRound.buzzes || []} teams={teams} open={buzzOpen} />}
+
+            {activeRound && (
+              <SubmissionsPanel
+                companion={companion}
+                submissions={judgedSubmissions}
+                teams={teams}
+                points={availablePoints}
+                onAward={awardSubmission}
+                onClear={clearSubmissions}
+                onAddGuess={addHostGuess}
+                onOverride={overrideVerdict}
+              />
+            )}
+
             {/* Scoreboard */}
             <div className="mt-4 rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
               <div className="mb-3 flex items-center justify-between">
                 <h2 className="text-2xl font-semibold">Scoreboard</h2>
-                <button onClick={resetScores} className="rounded-lg bg-slate-800 px-3 py-1 text-xs hover:bg-slate-700">Reset</button>
+                <div className="flex gap-1">
+                  <button
+                    onClick={undoScore}
+                    disabled={scoreLog.events.length === 0}
+                    className="rounded-lg bg-slate-800 px-3 py-1 text-xs hover:bg-slate-700 disabled:opacity-50"
+                    title="Undo last score change (Ctrl+Z)"
+                  >
+                    Undo
+                  </button>
+                  <button
+                    onClick={redoScore}
+                    disabled={scoreLog.redo.length === 0}
+                    className="rounded-lg bg-slate-800 px-3 py-1 text-xs hover:bg-slate-700 disabled:opacity-50"
+                    title="Redo (Ctrl+Shift+Z)"
+                  >
+                    Redo
+                  </button>
+                  <button onClick={resetScores} className="rounded-lg bg-slate-800 px-3 py-1 text-xs hover:bg-slate-700">Reset</button>
+                  <button
+                    onClick={() => setEditingTeams((v) => !v)}
+                    className={`rounded-lg px-3 py-1 text-xs ${editingTeams ? "bg-indigo-600 hover:bg-indigo-500" : "bg-slate-800 hover:bg-slate-700"}`}
+                  >
+                    {editingTeams ? "Done" : "Edit teams"}
+                  </button>
+                </div>
               </div>
-              <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
-                {teams.map((t, i) => {
-                  const teamColors = [
-                    'bg-blue-800/60 border-blue-500/30', // Team A - Blue
-                    'bg-red-800/60 border-red-500/30',   // Team B - Red  
-                    'bg-green-800/60 border-green-500/30', // Team C - Green
-                    'bg-purple-800/60 border-purple-500/30' // Team D - Purple
-                  ];
-                  return (
-                  <div key={t.id} className={`rounded-xl ${teamColors[i]} p-3 border-2`}>
-                    <input
-                      value={t.name}
-                      onChange={(e) => renameTeam(i, e.target.value)}
-                      className="mb-2 w-full rounded-lg bg-slate-900/60 px-2 py-1 text-sm outline-none"
-                    />
-                    <div className="mb-2 text-3xl font-black tabular-nums">{t.score}</div>
-                    <div className="flex flex-wrap gap-1">
-                      {[+1, +2, +3, -1].map((d) => (
-                        <button
-                          key={d}
-                          onClick={() => setTeamScore(i, d)}
-                          className="rounded-md bg-slate-700/80 px-2 py-1 text-xs hover:bg-slate-600/80"
-                        >
-                          {d > 0 ? `+${d}` : d}
-                        </button>
-                      ))}
-                      <CustomDelta onApply={(n) => setTeamScore(i, n)} />
+              <div className="grid gap-3" style={{ gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))" }}>
+                {teams.map((t, i) => (
+                  <div
+                    key={t.id}
+                    className="rounded-xl p-3 border-2"
+                    style={{ background: `${t.color}40`, borderColor: `${t.color}66` }}
+                  >
+                    <div className="mb-2 flex items-center gap-2">
+                      <TeamMark team={t} />
+                      <input
+                        value={t.name}
+                        onChange={(e) => renameTeam(i, e.target.value)}
+                        className="w-full min-w-0 rounded-lg bg-slate-900/60 px-2 py-1 text-sm outline-none"
+                      />
                     </div>
+                    {editingTeams ? (
+                      <div className="space-y-2 text-xs">
+                        <div className="flex items-center gap-2">
+                          <input type="color" value={t.color} onChange={(e) => patchTeam(i, { color: e.target.value })} className="h-7 w-9 rounded bg-transparent" />
+                          <input
+                            value={t.emoji || ""}
+                            onChange={(e) => patchTeam(i, { emoji: e.target.value.slice(0, 8) })}
+                            placeholder="emoji"
+                            className="w-16 rounded-md bg-slate-900/60 px-2 py-1 outline-none"
+                          />
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <label className="cursor-pointer rounded-md bg-slate-700/80 px-2 py-1 hover:bg-slate-600/80">
+                            Logo…
+                            <input
+                              type="file"
+                              accept="image/*"
+                              className="hidden"
+                              onChange={(e) => {
+                                if (e.target.files?.[0]) setTeamLogo(i, e.target.files[0]);
+                                e.target.value = "";
+                              }}
+                            />
+                          </label>
+                          {t.logo && (
+                            <button onClick={() => patchTeam(i, { logo: undefined })} className="rounded-md bg-slate-700/80 px-2 py-1 hover:bg-slate-600/80">
+                              No logo
+                            </button>
+                          )}
+                        </div>
+                        <div className="flex gap-1">
+                          <button onClick={() => moveTeam(i, -1)} disabled={i === 0} className="rounded-md bg-slate-700/80 px-2 py-1 hover:bg-slate-600/80 disabled:opacity-40" title="Move left">◀</button>
+                          <button onClick={() => moveTeam(i, 1)} disabled={i === teams.length - 1} className="rounded-md bg-slate-700/80 px-2 py-1 hover:bg-slate-600/80 disabled:opacity-40" title="Move right">▶</button>
+                          <button
+                            onClick={() => removeTeam(i)}
+                            disabled={teams.length <= 1}
+                            className="ml-auto rounded-md bg-red-600/80 px-2 py-1 text-white hover:bg-red-500/80 disabled:opacity-40"
+                            title="Remove team"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="mb-2 text-3xl font-black tabular-nums">{t.score}</div>
+                        <div className="flex flex-wrap gap-1">
+                          {[+1, +2, +3, -1].map((d) => (
+                            <button
+                              key={d}
+                              onClick={() => setTeamScore(i, d)}
+                              className="rounded-md bg-slate-700/80 px-2 py-1 text-xs hover:bg-slate-600/80"
+                            >
+                              {d > 0 ? `+${d}` : d}
+                            </button>
+                          ))}
+                          <CustomDelta onApply={(n) => setTeamScore(i, n, "custom")} />
+                        </div>
+                      </>
+                    )}
                   </div>
-                  );
-                })}
+                ))}
+                {editingTeams && (
+                  <button
+                    onClick={addTeam}
+                    className="rounded-xl border-2 border-dashed border-white/20 p-3 text-sm text-slate-400 hover:border-white/40 hover:text-slate-200"
+                  >
+                    + Add team
+                  </button>
+                )}
               </div>
+              <ScoreLog log={scoreLog} teams={teams} rounds={rounds} />
             </div>
           </div>
 
@@ -684,43 +1488,135 @@ export default function App() {
           <div className="space-y-4">
             <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
               <h2 className="mb-3 text-lg font-semibold">Rounds</h2>
+              {rounds.length > 0 && (
+                <div className="mb-3 space-y-2">
+                  <div className="flex gap-2">
+                    <input
+                      value={roundFilter.text}
+                      onChange={(e) => setRoundFilter((f) => ({ ...f, text: e.target.value }))}
+                      placeholder="Search name, answer, tag…"
+                      className="min-w-0 flex-1 rounded-lg bg-slate-800 px-3 py-1 text-sm outline-none"
+                    />
+                    <select
+                      value={roundFilter.tag}
+                      onChange={(e) => setRoundFilter((f) => ({ ...f, tag: e.target.value }))}
+                      className="rounded-lg bg-slate-800 px-2 py-1 text-sm"
+                    >
+                      <option value="">All tags</option>
+                      {knownTags.map((t) => (
+                        <option key={t} value={t}>{t}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="flex items-center justify-between gap-2 text-xs">
+                    <label className="flex items-center gap-1 text-slate-300">
+                      <input
+                        type="checkbox"
+                        checked={roundFilter.missingAnswer}
+                        onChange={(e) => setRoundFilter((f) => ({ ...f, missingAnswer: e.target.checked }))}
+                      />
+                      Missing answer
+                    </label>
+                    <div className="flex items-center gap-1">
+                      <input
+                        value={shuffleSeed}
+                        onChange={(e) => setShuffleSeed(e.target.value)}
+                        placeholder="seed"
+                        className="w-20 rounded-lg bg-slate-800 px-2 py-1 outline-none"
+                        title="Same seed, same order"
+                      />
+                      <button onClick={shuffleRounds} className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700">
+                        Shuffle
+                      </button>
+                    </div>
+                  </div>
+                  {filtering && (
+                    <div className="flex items-center justify-between text-xs text-slate-400">
+                      <span>Showing {visibleCount} of {rounds.length}</span>
+                      <button onClick={() => setRoundFilter({ text: "", tag: "", missingAnswer: false })} className="underline hover:text-slate-200">
+                        Clear filters
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
               {rounds.length === 0 ? (
                 <p className="text-sm text-slate-400">No rounds yet. Use <span className="font-semibold">Add Rounds</span> or drop images onto the stage.</p>
               ) : (
                 <div className="max-h-[50vh] space-y-2 overflow-y-auto pr-1">
-                  {rounds.map((r, idx) => (
+                  {rounds.map((r, idx) => !filtering || matchesFilter(r, roundFilter) ? (
                     <div
                       key={r.id}
-                      className={`flex items-center gap-3 rounded-xl p-2 ${
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = "move";
+                        e.dataTransfer.setData("text/plain", r.id);
+                        setDrag({ from: idx, over: idx });
+                      }}
+                      onDragOver={(e) => {
+                        if (!drag) return;
+                        e.preventDefault();
+                        if (drag.over !== idx) setDrag({ ...drag, over: idx });
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        if (drag) moveRound(drag.from, idx);
+                        setDrag(null);
+                      }}
+                      onDragEnd={() => setDrag(null)}
+                      className={`flex items-center gap-2 rounded-xl p-2 ${
                         idx === current ? "ring-2 ring-indigo-500/70" : "border border-white/10"
+                      } ${drag?.from === idx ? "opacity-40" : ""} ${
+                        drag && drag.over === idx && drag.from !== idx ? (drag.from < idx ? "border-b-2 border-b-indigo-400" : "border-t-2 border-t-indigo-400") : ""
                       }`}
                     >
+                      <span className="cursor-grab select-none text-slate-500" title="Drag to reorder">⋮⋮</span>
                       <button
                         onClick={() => setCurrent(idx)}
                         className="flex flex-1 items-center gap-3 text-left hover:bg-slate-800/70 rounded-lg p-1"
                       >
                         <div className="h-12 w-16 overflow-hidden rounded-lg bg-slate-800">
                           {r.imageUrl ? (
-                            <img src={r.imageUrl} alt={r.imageName} className="h-full w-full object-cover" />
+                            <img src={r.thumbUrl || r.imageUrl} alt={r.title || r.imageName} className="h-full w-full object-cover" />
                           ) : (
                             <div className="flex h-full w-full items-center justify-center text-xs text-slate-500">No image</div>
                           )}
                         </div>
                         <div className="flex-1">
-                          <div className="text-sm font-medium line-clamp-1">{r.imageName || "Untitled Round"}</div>
-                          <div className="text-xs text-slate-400 line-clamp-1">{r.answer ? `Answer: ${r.answer}` : "No answer set"}</div>
+                          <div className="text-sm font-medium line-clamp-1">
+                            {isWager(r) && <span className="mr-1 rounded bg-amber-600/80 px-1.5 py-0.5 text-[10px]">Wager</span>}
+                            {r.title || r.imageName || "Untitled Round"}
+                          </div>
+                          <div className="text-xs text-slate-400 line-clamp-1">{roundAnswer(r) ? `Answer: ${roundAnswer(r)}` : "No answer set"}</div>
+                          {r.tags?.length > 0 && (
+                            <div className="mt-1 flex flex-wrap gap-1">
+                              {r.tags.map((t) => (
+                                <span key={t} className="rounded bg-slate-700/70 px-1.5 py-0.5 text-[10px] text-slate-300">#{t}</span>
+                              ))}
+                            </div>
+                          )}
+                          <OverrideBadges overrides={r.overrides} />
                         </div>
                         <div className="text-xs text-slate-400">{idx + 1}</div>
                       </button>
-                      <button
-                        onClick={() => deleteRound(r.id)}
-                        className="rounded-lg bg-red-600/80 px-2 py-1 text-xs hover:bg-red-500/80 text-white"
-                        title="Delete this round"
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
+                      <div className="flex flex-col gap-1">
+                        <button
+                          onClick={() => duplicateRound(r.id)}
+                          className="rounded-lg bg-slate-700 px-2 py-1 text-xs hover:bg-slate-600"
+                          title="Duplicate this round"
+                        >
+                          ⧉
+                        </button>
+                        <button
+                          onClick={() => deleteRound(r.id)}
+                          className="rounded-lg bg-red-600/80 px-2 py-1 text-xs hover:bg-red-500/80 text-white"
+                          title="Delete this round"
+                        >
+                          ×
+                        </button>
+                      </div>
+                    </div>
+                  ) : null)}
                 </div>
               )}
             </div>
@@ -728,7 +1624,17 @@ export default function App() {
             <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
               <h2 className="mb-3 text-lg font-semibold">Editor (current round)</h2>
               {activeRound ? (
-                <RoundEditor round={activeRound} updateRound={updateRound} />
+                <RoundEditor
+                  round={activeRound}
+                  updateRound={updateRound}
+                  defaults={{ duration, autoUnblur, startBlur, initialZoom, points: basePoints }}
+                  knownTags={knownTags}
+                  importPhoto={importPhoto}
+                  storeImage={storeImage}
+                  quality={photoSettings.quality}
+                  mapBounds={mapInfo?.bounds}
+                  map={mapMode && mapUrl ? { url: mapUrl, aspect: mapInfo?.aspect } : null}
+                />
               ) : (
                 <p className="text-sm text-slate-400">Select a round to edit.</p>
               )}
@@ -749,7 +1655,35 @@ export default function App() {
                   />
                 </div>
                 <div className="flex items-center justify-between gap-3">
-                  <label className="text-sm text-slate-300">Auto un-blur over timer</label>
+                  <label className="text-sm text-slate-300">Clock</label>
+                  <select
+                    value={clockMode}
+                    onChange={(e) => setClockMode(e.target.value)}
+                    className="w-48 rounded-lg bg-slate-800 px-2 py-1"
+                  >
+                    {CLOCK_MODES.map((m) => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Pause when a hint is revealed</label>
+                  <input type="checkbox" checked={pauseOnHint} onChange={(e) => setPauseOnHint(e.target.checked)} />
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Reveal effect</label>
+                  <select
+                    value={revealEffect}
+                    onChange={(e) => setRevealEffect(e.target.value)}
+                    className="w-48 rounded-lg bg-slate-800 px-2 py-1"
+                  >
+                    {REVEAL_EFFECTS.map((fx) => (
+                      <option key={fx.id} value={fx.id}>{fx.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Auto reveal over timer</label>
                   <input type="checkbox" checked={autoUnblur} onChange={(e) => setAutoUnblur(e.target.checked)} />
                 </div>
                 <div className="flex items-center justify-between gap-3">
@@ -760,7 +1694,8 @@ export default function App() {
                     max={30}
                     value={startBlur}
                     onChange={(e) => setStartBlur(Number(e.target.value))}
-                    className="w-48"
+                    disabled={revealEffect !== "blur"}
+                    className="w-48 disabled:opacity-40"
                   />
                   <span className="text-xs text-slate-400 w-8 text-right">{startBlur}</span>
                 </div>
@@ -779,17 +1714,323 @@ export default function App() {
                 </div>
               </div>
             </div>
+
+            <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+              <h2 className="mb-3 text-lg font-semibold">Team Devices</h2>
+              <div className="space-y-3">
+                <p className="text-xs text-slate-400">
+                  Run <span className="font-mono">npm run companion</span> on this laptop, then teams join from their phones on the same Wi-Fi.
+                </p>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Server</label>
+                  <input
+                    value={companionUrl}
+                    onChange={(e) => setCompanionUrl(e.target.value)}
+                    disabled={companionOn}
+                    className="w-48 rounded-lg bg-slate-800 px-2 py-1 text-sm disabled:opacity-60"
+                  />
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Accept guesses from phones</label>
+                  <input type="checkbox" checked={companionOn} onChange={(e) => setCompanionOn(e.target.checked)} />
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Buzzer mode</label>
+                  <input type="checkbox" checked={buzzerMode} onChange={(e) => setBuzzerMode(e.target.checked)} />
+                </div>
+                {buzzerMode && (
+                  <div className="space-y-1">
+                    <p className="text-xs text-slate-400">
+                      The first team to buzz stops the clock and locks the others out. Teams buzz with their key or the button on their
+                      phone; remap keys (e.g. to a USB keypad) in the shortcuts sheet.
+                    </p>
+                    <div className="flex flex-wrap gap-2 text-xs">
+                      {teams.slice(0, MAX_TEAM_KEYS).map((t, i) => (
+                        <span key={t.id} className="rounded-md bg-slate-800 px-2 py-1">
+                          <span style={{ color: t.color }}>{t.name}</span>{" "}
+                          <span className="font-mono">{(keyBindings[`buzz${i + 1}`] || []).map(formatCombo).join(", ") || "no key"}</span>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+              <h2 className="mb-3 text-lg font-semibold">Scoring & Judging</h2>
+              <div className="mb-3 flex items-center justify-between gap-3">
+                <label className="text-sm text-slate-300">Points for a correct answer</label>
+                <input
+                  type="number"
+                  min={1}
+                  value={basePoints}
+                  onChange={(e) => setBasePoints(Math.max(1, Number(e.target.value) || 1))}
+                  className="w-28 rounded-lg bg-slate-800 px-2 py-1 text-right"
+                />
+              </div>
+              <p className="mb-3 text-xs text-slate-400">Each revealed hint can lower this by its cost or cap it; set those per hint in the editor.</p>
+              <div className="flex items-center justify-between gap-3">
+                <label className="text-sm text-slate-300">Typo tolerance</label>
+                <input
+                  type="range"
+                  min={0}
+                  max={0.5}
+                  step={0.05}
+                  value={judgeTolerance}
+                  onChange={(e) => setJudgeTolerance(Number(e.target.value))}
+                  className="w-48"
+                />
+                <span className="text-xs text-slate-400 w-8 text-right">{Math.round(judgeTolerance * 100)}%</span>
+              </div>
+              <p className="mt-2 text-xs text-slate-400">Share of characters a guess may get wrong and still count. 0% needs an exact match (case, accents and punctuation are always ignored).</p>
+            </div>
+
+            <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+              <h2 className="mb-3 text-lg font-semibold">Sound</h2>
+              <div className="space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Mute</label>
+                  <input type="checkbox" checked={audio.muted} onChange={(e) => setAudio((a) => ({ ...a, muted: e.target.checked }))} />
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Volume</label>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    value={audio.volume}
+                    onChange={(e) => setAudio((a) => ({ ...a, volume: Number(e.target.value) }))}
+                    disabled={audio.muted}
+                    className="w-48 disabled:opacity-40"
+                  />
+                  <span className="text-xs text-slate-400 w-8 text-right">{Math.round(audio.volume * 100)}</span>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Play on</label>
+                  <select
+                    value={audio.output}
+                    onChange={(e) => setAudio((a) => ({ ...a, output: e.target.value }))}
+                    className="w-48 rounded-lg bg-slate-800 px-2 py-1"
+                  >
+                    <option value="host">This window</option>
+                    <option value="participant">Participant window</option>
+                  </select>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {SOUNDS.map((sound) => (
+                    <button
+                      key={sound.id}
+                      onClick={() => cue(sound.id)}
+                      disabled={audio.muted}
+                      className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700 disabled:opacity-40"
+                      title="Play this cue where sound is set to play"
+                    >
+                      ▶ {sound.label}
+                    </button>
+                  ))}
+                </div>
+                {audio.output === "participant" && (
+                  <p className="text-xs text-slate-400">
+                    The participant window asks for one click before it can play sound.
+                  </p>
+                )}
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+              <h2 className="mb-3 text-lg font-semibold">Photos</h2>
+              <div className="space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Scale added photos to</label>
+                  <select
+                    value={photoSettings.maxSize}
+                    onChange={(e) => setPhotoSettings((p) => ({ ...p, maxSize: Number(e.target.value) }))}
+                    className="w-32 rounded-lg bg-slate-800 px-2 py-1"
+                  >
+                    {[1280, 1600, 2048, 2560, 3840].map((px) => (
+                      <option key={px} value={px}>{px} px</option>
+                    ))}
+                    <option value={0}>Original size</option>
+                  </select>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Quality</label>
+                  <input
+                    type="range"
+                    min={0.5}
+                    max={1}
+                    step={0.05}
+                    value={photoSettings.quality}
+                    onChange={(e) => setPhotoSettings((p) => ({ ...p, quality: Number(e.target.value) }))}
+                    className="w-48"
+                  />
+                  <span className="text-xs text-slate-400 w-8 text-right">{Math.round(photoSettings.quality * 100)}</span>
+                </div>
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Strip metadata (GPS, camera, time)</label>
+                  <input type="checkbox" checked={stripPhotos} onChange={(e) => setStripPhotos(e.target.checked)} />
+                </div>
+                <p className="text-xs text-slate-400">
+                  Applies to photos added from now on. Stripping also re-encodes photos on export.
+                </p>
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+              <h2 className="mb-3 text-lg font-semibold">Map Mode</h2>
+              <div className="space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <label className="text-sm text-slate-300">Teams guess on a campus map</label>
+                  <input type="checkbox" checked={mapMode} onChange={(e) => setMapMode(e.target.checked)} />
+                </div>
+                <div>
+                  <div className="mb-1 text-xs text-slate-400">{mapInfo ? `Map: ${mapInfo.name}` : "No campus map loaded"}</div>
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={(e) => {
+                      loadMap(e.target.files?.[0]);
+                      e.target.value = "";
+                    }}
+                    className="block w-full text-sm"
+                  />
+                </div>
+                {mapInfo && (
+                  <div>
+                    <div className="mb-1 text-xs text-slate-400">Map edges in GPS degrees (optional, places photos with GPS)</div>
+                    <div className="grid grid-cols-2 gap-2">
+                      {[
+                        ["north", "North"],
+                        ["south", "South"],
+                        ["west", "West"],
+                        ["east", "East"],
+                      ].map(([key, label]) => (
+                        <input
+                          key={key}
+                          type="number"
+                          step="any"
+                          value={mapInfo.bounds?.[key] ?? ""}
+                          onChange={(e) => setMapBounds({ [key]: e.target.value === "" ? null : Number(e.target.value) })}
+                          placeholder={label}
+                          title={label}
+                          className="min-w-0 rounded-lg bg-slate-800 px-2 py-1 text-right text-sm"
+                        />
+                      ))}
+                    </div>
+                    <button
+                      onClick={placeRoundsFromGps}
+                      disabled={!validBounds(mapInfo.bounds)}
+                      className="mt-2 w-full rounded-lg bg-slate-800 px-2 py-1 text-sm hover:bg-slate-700 disabled:opacity-40"
+                    >
+                      Place rounds from photo GPS
+                    </button>
+                  </div>
+                )}
+                {mapMode && (
+                  <>
+                    <div className="flex items-center justify-between gap-3">
+                      <label className="text-sm text-slate-300">Max points</label>
+                      <input
+                        type="number"
+                        min={1}
+                        value={mapScoring.maxPoints}
+                        onChange={(e) => setMapScoring((m) => ({ ...m, maxPoints: Math.max(1, Number(e.target.value) || 1) }))}
+                        className="w-28 rounded-lg bg-slate-800 px-2 py-1 text-right"
+                      />
+                    </div>
+                    <div className="flex items-center justify-between gap-3">
+                      <label className="text-sm text-slate-300">Falloff</label>
+                      <select
+                        value={mapScoring.falloff}
+                        onChange={(e) => setMapScoring((m) => ({ ...m, falloff: e.target.value }))}
+                        className="w-28 rounded-lg bg-slate-800 px-2 py-1"
+                      >
+                        <option value="linear">Linear</option>
+                        <option value="exponential">Exponential</option>
+                      </select>
+                    </div>
+                    <div className="flex items-center justify-between gap-3">
+                      <label className="text-sm text-slate-300">Full points within (% of map)</label>
+                      <input
+                        type="number"
+                        min={0}
+                        step={0.5}
+                        value={+(mapScoring.fullRadius * 100).toFixed(2)}
+                        onChange={(e) => setMapScoring((m) => ({ ...m, fullRadius: Math.max(0, Number(e.target.value) || 0) / 100 }))}
+                        className="w-28 rounded-lg bg-slate-800 px-2 py-1 text-right"
+                      />
+                    </div>
+                    <div className="flex items-center justify-between gap-3">
+                      <label className="text-sm text-slate-300">
+                        {mapScoring.falloff === "exponential" ? "Points halve every (% of map)" : "No points beyond (% of map)"}
+                      </label>
+                      <input
+                        type="number"
+                        min={1}
+                        step={0.5}
+                        value={+(mapScoring.zeroRadius * 100).toFixed(2)}
+                        onChange={(e) => setMapScoring((m) => ({ ...m, zeroRadius: Math.max(1, Number(e.target.value) || 1) / 100 }))}
+                        className="w-28 rounded-lg bg-slate-800 px-2 py-1 text-right"
+                      />
+                    </div>
+                    <div className="flex items-center justify-between gap-3">
+                      <label className="text-sm text-slate-300">Map width in meters (optional)</label>
+                      <input
+                        type="number"
+                        min={0}
+                        value={mapScoring.mapWidthMeters}
+                        onChange={(e) => setMapScoring((m) => ({ ...m, mapWidthMeters: Math.max(0, Number(e.target.value) || 0) }))}
+                        className="w-28 rounded-lg bg-slate-800 px-2 py-1 text-right"
+                      />
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
           </div>
         </div>
 
+        {showLibrary && <LibraryDialog library={library} onChange={onLibraryChange} onClose={() => setShowLibrary(false)} />}
+
+        {showShortcuts && (
+          <ShortcutSheet bindings={keyBindings} onChange={setKeyBindings} onClose={() => setShowShortcuts(false)} />
+        )}
+
+        {resumeOffer && (
+          <ResumeDialog
+            snapshot={resumeOffer}
+            rounds={rounds}
+            timing={(round) => ({ mode: clockMode, duration: roundSettings(round, { duration }).duration })}
+            participantOpen={participantOpen}
+            onResume={resumeGame}
+            onDiscard={() => setResumeOffer(null)}
+          />
+        )}
+
+        {pendingImport && (
+          <ImportDialog
+            pending={pendingImport}
+            onCancel={() => setPendingImport(null)}
+            onApply={applyImport}
+          />
+        )}
+
         <footer className="mt-6 text-center text-xs text-slate-500">
-          Try not to reload the page as it will reset the image URLs (object URLs are session-based).
+          Rounds and images are saved in this browser, so a reload won't lose the prepared game.
         </footer>
       </div>
     </div>
   );
 }
 
+function TeamMark({ team }) {
+  if (team.logo) return <img src={team.logo} alt="" className="inline-block h-6 w-6 rounded object-contain align-middle" />;
+  if (team.emoji) return <span className="align-middle">{team.emoji}</span>;
+  return null;
+}
+
 function Badge({ label, variant = "neutral" }) {
   const cls =
     variant === "success"
@@ -802,11 +2043,74 @@ function Badge({ label, variant = "neutral" }) {
   );
 }
 
-function TimerOverlay({ isRunning, elapsed, duration }) {
-  const remaining = Math.max(0, Math.round(duration - elapsed));
-  const mm = Math.floor(remaining / 60);
-  const ss = remaining % 60;
-  const pct = duration > 0 ? Math.max(0, Math.min(1, elapsed / duration)) : 0;
+// Offered on load when the last session was mid-game.
+function ResumeDialog({ snapshot, rounds, timing, participantOpen, onResume, onDiscard }) {
+  const idx = rounds.findIndex((r) => r.id === snapshot.roundId);
+  const round = rounds[idx];
+  const status = round ? clockStatus(snapshot.clock, timing(round), snapshot.savedAt) : null;
+  const away = downtime(snapshot, Date.now());
+  const [countDowntime, setCountDowntime] = useState(false);
+  const [reopenParticipant, setReopenParticipant] = useState(!!snapshot.participantOpen);
+  const clockTime = (sec) => `${Math.floor(sec / 60)}:${pad2(Math.floor(sec % 60))}`;
+  const awayLabel = away < 60 ? `${Math.round(away)} s` : away < 3600 ? `${Math.round(away / 60)} min` : `${(away / 3600).toFixed(1)} h`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="w-full max-w-md rounded-2xl border border-white/10 bg-slate-900 p-5 shadow-2xl">
+        <h2 className="mb-1 text-lg font-semibold">Resume game in progress?</h2>
+        <p className="mb-4 text-sm text-slate-400">This game was left {awayLabel} ago.</p>
+        <div className="mb-4 space-y-1 rounded-lg border border-white/10 p-3 text-sm">
+          <div>
+            <span className="text-slate-400">Screen:</span> {PHASE_LABELS[snapshot.phase] ?? "Title"}
+            {round ? ` · round ${idx + 1} of ${rounds.length}` : ""}
+          </div>
+          {status && (
+            <div>
+              <span className="text-slate-400">Clock:</span>{" "}
+              {status.remaining == null ? `${clockTime(status.elapsed)} taken` : `${clockTime(status.remaining)} left`}
+              {snapshot.clock.running ? ", running" : ", paused"}
+            </div>
+          )}
+          {!round && snapshot.roundId && <div className="text-amber-300">That round no longer exists; the clock starts over.</div>}
+        </div>
+        {round && snapshot.clock.running && (
+          <label className="mb-2 flex items-center gap-2 text-sm text-slate-300">
+            <input type="checkbox" checked={countDowntime} onChange={(e) => setCountDowntime(e.target.checked)} />
+            Count the {awayLabel} the page was closed as played time
+          </label>
+        )}
+        {snapshot.participantOpen && (
+          participantOpen ? (
+            <p className="mb-2 text-sm text-emerald-300">The participant view has reconnected.</p>
+          ) : (
+            <label className="mb-2 flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={reopenParticipant} onChange={(e) => setReopenParticipant(e.target.checked)} />
+              Reopen the participant view
+            </label>
+          )
+        )}
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onDiscard} className="rounded-lg bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700">
+            Start fresh
+          </button>
+          <button
+            onClick={() => onResume({ countDowntime, reopenParticipant: reopenParticipant && !participantOpen })}
+            className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500"
+          >
+            Resume game
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Clock face: time left with a progress ring, or time taken when counting up (status from clockStatus).
+function TimerOverlay({ isRunning, status }) {
+  const shown = status.remaining == null ? Math.floor(status.elapsed) : Math.round(status.remaining);
+  const mm = Math.floor(shown / 60);
+  const ss = shown % 60;
+  const pct = status.limit ? Math.max(0, Math.min(1, status.elapsed / status.limit)) : 0;
 
   return (
     <div className="pointer-events-none absolute right-3 top-3 flex items-center gap-2">
@@ -839,6 +2143,75 @@ function TimerOverlay({ isRunning, elapsed, duration }) {
   );
 }
 
+function ScoreLog({ log, teams, rounds }) {
+  const [open, setOpen] = useState(false);
+  const breakdown = roundBreakdown(log.events);
+  const roundLabel = (roundId) => {
+    if (!roundId) return "Other";
+    const idx = rounds.findIndex((r) => r.id === roundId);
+    return idx >= 0 ? `Round ${idx + 1}` : "Deleted round";
+  };
+  // table rows in play order, then anything that no longer maps to a round
+  const rowIds = [
+    ...rounds.map((r) => r.id).filter((id) => breakdown[id]),
+    ...Object.keys(breakdown).filter((id) => id && !rounds.some((r) => r.id === id)),
+    ...(breakdown[""] ? [""] : []),
+  ];
+  const teamName = (id) => teams.find((t) => t.id === id)?.name ?? id;
+  const time = (at) => new Date(at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+
+  return (
+    <div className="mt-3">
+      <button onClick={() => setOpen((v) => !v)} className="text-xs text-slate-400 hover:text-slate-200">
+        {open ? "▾" : "▸"} Points by round & score log ({log.events.length})
+      </button>
+      {open && (
+        <div className="mt-2 grid grid-cols-1 gap-4 md:grid-cols-2">
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-slate-400">
+                  <th className="py-1 text-left font-medium">Round</th>
+                  {teams.map((t) => (
+                    <th key={t.id} className="py-1 text-right font-medium">{t.name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rowIds.map((id) => (
+                  <tr key={id || "other"} className="border-t border-white/5">
+                    <td className="py-1">{roundLabel(id)}</td>
+                    {teams.map((t) => (
+                      <td key={t.id} className="py-1 text-right tabular-nums">{breakdown[id][t.id] ?? ""}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="border-t border-white/20 font-semibold">
+                  <td className="py-1">Total</td>
+                  {teams.map((t) => (
+                    <td key={t.id} className="py-1 text-right tabular-nums">{t.score}</td>
+                  ))}
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <ul className="max-h-56 space-y-1 overflow-y-auto text-xs">
+            {log.events.length === 0 && <li className="text-slate-500">No score changes yet.</li>}
+            {[...log.events].reverse().map((e) => (
+              <li key={e.id} className="flex gap-2">
+                <span className="text-slate-500 tabular-nums">{time(e.at)}</span>
+                <span className="font-semibold tabular-nums">{e.delta > 0 ? `+${e.delta}` : e.delta}</span>
+                <span>{teamName(e.teamId)}</span>
+                <span className="text-slate-400">{roundLabel(e.roundId)} · {e.reason}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function CustomDelta({ onApply }) {
   const [open, setOpen] = useState(false);
   const [val, setVal] = useState(5);
@@ -873,27 +2246,1117 @@ function CustomDelta({ onApply }) {
   );
 }
 
-function RoundEditor({ round, updateRound }) {
+// Cheat sheet of every shortcut; doubles as the editor for remapping them.
+function ShortcutSheet({ bindings, onChange, onClose }) {
+  const [capturing, setCapturing] = useState(null); // action id waiting for its new key
+
+  useEffect(() => {
+    // capture phase, so the key being recorded never reaches the global shortcut listener
+    const onKey = (e) => {
+      if (capturing) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.key === "Escape") return setCapturing(null);
+        const combo = eventCombo(e);
+        if (!combo) return;
+        onChange(bindKey(bindings, capturing, combo));
+        setCapturing(null);
+      } else if (e.key === "Escape") {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [capturing, bindings, onChange, onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="max-h-[90vh] w-full max-w-2xl overflow-y-auto rounded-2xl border border-white/10 bg-slate-900 p-5 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-1 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Keyboard shortcuts</h2>
+          <button onClick={onClose} className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700">
+            Close
+          </button>
+        </div>
+        <p className="mb-4 text-xs text-slate-400">
+          Shortcuts are ignored while typing in a field. Click <span className="font-semibold">+</span> and press a key to add a binding.
+        </p>
+        <div className="grid gap-x-6 gap-y-1 sm:grid-cols-2">
+          {SHORTCUT_ACTIONS.map((a) => (
+            <div key={a.id} className="flex items-center justify-between gap-2 border-b border-white/5 py-1">
+              <span className="text-sm text-slate-300">{a.label}</span>
+              <div className="flex flex-wrap items-center justify-end gap-1">
+                {(bindings[a.id] || []).map((combo) => (
+                  <button
+                    key={combo}
+                    onClick={() => onChange(unbindKey(bindings, a.id, combo))}
+                    className="rounded border border-white/20 bg-slate-800 px-1.5 py-0.5 font-mono text-xs hover:border-red-400/60 hover:line-through"
+                    title="Remove this key"
+                  >
+                    {formatCombo(combo)}
+                  </button>
+                ))}
+                <button
+                  onClick={() => setCapturing(a.id)}
+                  className={`rounded px-1.5 py-0.5 text-xs ${capturing === a.id ? "bg-indigo-600" : "bg-slate-800 hover:bg-slate-700"}`}
+                >
+                  {capturing === a.id ? "Press a key…" : "+"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="mt-4 flex justify-end">
+          <button onClick={() => onChange(defaultBindings())} className="rounded-lg bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700">
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Create, rename, duplicate, delete and switch games.
+function LibraryDialog({ library, onChange, onClose }) {
+  const [newName, setNewName] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError("");
+    try {
+      onChange(await fn());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const create = () => {
+    const name = newName.trim() || `Game ${library.packs.length + 1}`;
+    setNewName("");
+    run(() => createPack(library, name));
+  };
+  const commitRename = () => {
+    if (renaming?.name.trim()) run(() => renamePack(library, renaming.id, renaming.name.trim()));
+    setRenaming(null);
+  };
+  const remove = (pack) => {
+    if (!window.confirm(`Delete "${pack.name}" with all its rounds, images and scores?`)) return;
+    run(() => deletePack(library, pack.id));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="max-h-[90vh] w-full max-w-xl overflow-y-auto rounded-2xl border border-white/10 bg-slate-900 p-5 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-1 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Game library</h2>
+          <button onClick={onClose} className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700">
+            Close
+          </button>
+        </div>
+        <p className="mb-4 text-xs text-slate-400">Each game keeps its own rounds, images, teams, scores and settings in this browser.</p>
+
+        <div className="space-y-2">
+          {library.packs.map((p) => {
+            const active = p.id === library.activeId;
+            return (
+              <div key={p.id} className={`flex items-center gap-2 rounded-xl p-2 ${active ? "ring-2 ring-indigo-500/70" : "border border-white/10"}`}>
+                {renaming?.id === p.id ? (
+                  <input
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") commitRename();
+                      else if (e.key === "Escape") setRenaming(null);
+                    }}
+                    onBlur={commitRename}
+                    className="min-w-0 flex-1 rounded-lg bg-slate-800 px-2 py-1 text-sm outline-none"
+                  />
+                ) : (
+                  <div className="min-w-0 flex-1">
+                    <div className="truncate text-sm font-medium">{p.name}</div>
+                    <div className="text-xs text-slate-500">
+                      {active ? "Active · " : ""}created {new Date(p.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                )}
+                {!active && (
+                  <button
+                    disabled={busy}
+                    onClick={() => run(() => switchPack(library, p.id))}
+                    className="rounded-lg bg-indigo-600 px-2 py-1 text-xs hover:bg-indigo-500 disabled:opacity-50"
+                  >
+                    Open
+                  </button>
+                )}
+                <button
+                  disabled={busy}
+                  onClick={() => setRenaming({ id: p.id, name: p.name })}
+                  className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700 disabled:opacity-50"
+                >
+                  Rename
+                </button>
+                <button
+                  disabled={busy}
+                  onClick={() => run(() => duplicatePack(library, p.id, `${p.name} (copy)`))}
+                  className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700 disabled:opacity-50"
+                >
+                  Duplicate
+                </button>
+                <button
+                  disabled={busy || library.packs.length <= 1}
+                  onClick={() => remove(p)}
+                  className="rounded-lg bg-red-600/80 px-2 py-1 text-xs text-white hover:bg-red-500/80 disabled:opacity-40"
+                  title={library.packs.length <= 1 ? "The library needs at least one game" : "Delete this game"}
+                >
+                  ×
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="mt-4 flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && create()}
+            placeholder="New game name"
+            className="min-w-0 flex-1 rounded-lg bg-slate-800 px-3 py-2 text-sm outline-none"
+          />
+          <button disabled={busy} onClick={create} className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500 disabled:opacity-50">
+            New game
+          </button>
+        </div>
+        {error && <p className="mt-2 text-xs text-red-300">{error}</p>}
+      </div>
+    </div>
+  );
+}
+
+function ImportDialog({ pending, onCancel, onApply }) {
+  const { manifest, fromVersion, issues, fileName } = pending;
+  const [choice, setChoice] = useState({ rounds: "replace", teams: "replace", settings: "replace" });
+  const errors = issues.filter((i) => i.level === "error");
+  const warnings = issues.filter((i) => i.level === "warning");
+
+  const sections = [
+    { key: "rounds", label: `Rounds (${manifest?.rounds?.length ?? 0})`, present: !!manifest?.rounds, modes: ["replace", "merge", "skip"] },
+    { key: "teams", label: `Teams (${manifest?.teams?.length ?? 0})`, present: !!manifest?.teams, modes: ["replace", "merge", "skip"] },
+    { key: "settings", label: manifest?.map ? "Settings & campus map" : "Settings", present: !!manifest?.settings, modes: ["replace", "skip"] },
+  ];
+  const modeLabel = { replace: "Replace", merge: "Merge", skip: "Keep current" };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="max-h-[90vh] w-full max-w-xl overflow-y-auto rounded-2xl border border-white/10 bg-slate-900 p-5 shadow-2xl">
+        <h2 className="mb-1 text-lg font-semibold">Import pack</h2>
+        <p className="mb-4 text-xs text-slate-400">
+          {fileName}
+          {manifest?.meta?.name ? ` · ${manifest.meta.name}` : ""}
+          {fromVersion && fromVersion !== manifest?.meta?.version ? ` · upgraded from version ${fromVersion}` : ""}
+        </p>
+
+        {issues.length > 0 && (
+          <div className="mb-4 space-y-1">
+            <div className="text-sm font-medium">
+              {errors.length > 0 ? `${errors.length} error${errors.length > 1 ? "s" : ""}` : "No errors"}
+              {warnings.length > 0 && `, ${warnings.length} warning${warnings.length > 1 ? "s" : ""}`}
+            </div>
+            <ul className="max-h-48 space-y-1 overflow-y-auto rounded-lg bg-slate-950/60 p-2 text-xs">
+              {issues.map((i, idx) => (
+                <li key={idx} className={i.level === "error" ? "text-red-300" : "text-amber-300"}>
+                  <span className="font-mono">{i.path || "(file)"}</span>: {i.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {manifest && errors.length === 0 && (
+          <div className="mb-4 space-y-2">
+            {sections.filter((sec) => sec.present).map((sec) => (
+              <div key={sec.key} className="flex items-center justify-between gap-3">
+                <span className="text-sm text-slate-300">{sec.label}</span>
+                <div className="flex gap-1">
+                  {sec.modes.map((mode) => (
+                    <button
+                      key={mode}
+                      onClick={() => setChoice((c) => ({ ...c, [sec.key]: mode }))}
+                      className={`rounded-md px-2 py-1 text-xs ${choice[sec.key] === mode ? "bg-indigo-600" : "bg-slate-800 hover:bg-slate-700"}`}
+                    >
+                      {modeLabel[mode]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="rounded-lg bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700">
+            Cancel
+          </button>
+          <button
+            onClick={() => onApply(choice)}
+            disabled={!manifest || errors.length > 0}
+            className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500 disabled:pointer-events-none disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SubmissionsPanel({ companion, submissions, teams, points, onAward, onClear, onAddGuess, onOverride }) {
+  const [teamId, setTeamId] = useState(teams[0]?.id ?? "");
+  const [text, setText] = useState("");
+  const fmt = (sec) => `${Math.floor(sec / 60)}:${pad2(Math.floor(sec % 60))}`;
+  const statusLabel = { connecting: "Connecting…", connected: "Connected", error: "Server not reachable" }[companion.status] || "";
+
+  const submit = (e) => {
+    e.preventDefault();
+    onAddGuess(teamId || teams[0]?.id, text);
+    setText("");
+  };
+
+  return (
+    <div className="mt-4 rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Guesses</h2>
+        <div className="flex items-center gap-3 text-xs">
+          {companion.status !== "off" && (
+            <span className={companion.status === "connected" ? "text-emerald-400" : "text-amber-300"}>{statusLabel}</span>
+          )}
+          <button onClick={onClear} className="rounded-md bg-slate-800 px-2 py-1 hover:bg-slate-700">Clear all</button>
+        </div>
+      </div>
+      {companion.code && (
+        <div className="mb-3 flex flex-wrap items-baseline gap-x-4 gap-y-1">
+          <span className="text-sm text-slate-400">Room code</span>
+          <span className="font-mono text-3xl font-black tracking-[0.3em]">{companion.code}</span>
+          <span className="text-xs text-slate-400">{companion.urls.join("  ·  ") || "no network address found"}</span>
+        </div>
+      )}
+      {submissions.length === 0 ? (
+        <p className="text-sm text-slate-400">No guesses for this round yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {[...submissions]
+            .sort((a, b) => a.at - b.at)
+            .map((s) => {
+              const correct = s.verdict ? s.verdict === "correct" : s.judgement.correct;
+              return (
+                <div key={s.id} className="flex flex-wrap items-center gap-3 rounded-xl border border-white/10 p-2">
+                  <span className="w-12 font-mono text-xs text-slate-400 tabular-nums">{fmt(s.elapsed)}</span>
+                  <span className="w-28 truncate text-sm font-semibold">{teams.find((t) => t.id === s.teamId)?.name ?? s.teamId}</span>
+                  <span className="flex-1 text-sm">{s.text}</span>
+                  <button
+                    onClick={() => onOverride(s.id, s.verdict ? undefined : correct ? "wrong" : "correct")}
+                    title={
+                      s.verdict
+                        ? "Overridden by host; click to go back to automatic judging"
+                        : `${Math.round(s.judgement.confidence * 100)}% match${s.judgement.matched ? ` with "${s.judgement.matched}"` : ""}; click to override`
+                    }
+                  >
+                    <Badge
+                      label={`${correct ? "✓ Correct" : "✗ Wrong"} · ${s.verdict ? "override" : `${Math.round(s.judgement.confidence * 100)}%`}`}
+                      variant={correct ? "success" : "warn"}
+                    />
+                  </button>
+                  {s.awarded ? (
+                    <Badge label={`+${s.awarded} awarded`} variant="success" />
+                  ) : (
+                    <div className="flex gap-1">
+                      {[points, ...[1, 2, 3].filter((d) => d !== points)].filter((d) => d > 0).map((d) => (
+                        <button
+                          key={d}
+                          onClick={() => onAward(s, d)}
+                          className={`rounded-md px-2 py-1 text-xs ${correct ? "bg-emerald-700/80 hover:bg-emerald-600/80" : "bg-slate-700/80 hover:bg-slate-600/80"}`}
+                        >
+                          +{d}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+        </div>
+      )}
+      <form onSubmit={submit} className="mt-3 flex gap-2">
+        <select value={teamId} onChange={(e) => setTeamId(e.target.value)} className="rounded-lg bg-slate-800 px-2 py-1 text-sm">
+          {teams.map((t) => (
+            <option key={t.id} value={t.id}>{t.name}</option>
+          ))}
+        </select>
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Type a team's spoken guess to check it"
+          className="flex-1 rounded-lg bg-slate-800 px-3 py-1 text-sm outline-none"
+        />
+        <button type="submit" className="rounded-lg bg-indigo-600 px-3 py-1 text-sm hover:bg-indigo-500">Check</button>
+      </form>
+    </div>
+  );
+}
+
+function ChoicePanel({ round, shown, teams, picks, onPick, onEliminate }) {
+  const standing = round.options.filter((_, i) => i !== round.correctOption && !round.eliminated.includes(i)).length;
+  return (
+    <div className="mt-4 rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Multiple choice</h2>
+        <div className="flex gap-1 text-xs">
+          <button
+            onClick={() => onEliminate(1)}
+            disabled={standing < 2 || round.reveal.answer}
+            className="rounded-md bg-slate-800 px-2 py-1 hover:bg-slate-700 disabled:opacity-50"
+            title="Knock out one wrong option"
+          >
+            Eliminate one
+          </button>
+          <button
+            onClick={() => onEliminate(Infinity)}
+            disabled={standing < 2 || round.reveal.answer}
+            className="rounded-md bg-slate-800 px-2 py-1 hover:bg-slate-700 disabled:opacity-50"
+            title="Leave the right option and one wrong one"
+          >
+            50/50
+          </button>
+        </div>
+      </div>
+      <div className="mb-3 grid grid-cols-2 gap-2">
+        {round.options.map((text, i) => (
+          <div
+            key={i}
+            className={`flex items-center gap-2 rounded-xl border p-2 text-sm ${
+              i === round.correctOption ? "border-emerald-500/60" : "border-white/10"
+            } ${round.eliminated.includes(i) ? "line-through opacity-40" : i >= shown ? "opacity-60" : ""}`}
+          >
+            <span className="font-black">{optionLetter(i)}</span>
+            <span className="flex-1 truncate">{text}</span>
+            {i >= shown && <span className="text-xs text-slate-400">hidden</span>}
+            {i === round.correctOption && <span className="text-emerald-400">✓</span>}
+          </div>
+        ))}
+      </div>
+      <div className="space-y-1">
+        {teams.map((t) => {
+          const pick = picks[t.id];
+          return (
+            <div key={t.id} className="flex items-center gap-2 text-sm">
+              <span className="w-28 truncate font-semibold" style={{ color: t.color }}>{t.name}</span>
+              {pick ? (
+                <Badge
+                  label={`${pick.judgement.matched} · ${pick.source === "device" ? "phone" : "host"}${pick.awarded ? ` · +${pick.awarded}` : ""}`}
+                  variant={round.reveal.answer ? (pick.judgement.correct ? "success" : "warn") : "neutral"}
+                />
+              ) : (
+                <div className="flex gap-1">
+                  {round.options.slice(0, shown).map((_, i) => (
+                    <button
+                      key={i}
+                      onClick={() => onPick(t.id, i)}
+                      disabled={round.eliminated.includes(i)}
+                      className="rounded-md bg-slate-800 px-2 py-1 text-xs font-bold hover:bg-slate-700 disabled:opacity-30"
+                      title="Record this team's pick"
+                    >
+                      {optionLetter(i)}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function BuzzBanner({ team, points, onRight, onWrong }) {
+  if (!team) return null;
+  return (
+    <>
+      <div className="pointer-events-none absolute inset-0 rounded-2xl" style={{ boxShadow: `inset 0 0 0 8px ${team.color}` }} />
+      <div className="absolute inset-x-0 top-3 flex justify-center">
+        <div className="flex items-center gap-3 rounded-xl bg-black/80 px-4 py-2 shadow-2xl">
+          <span className="text-lg font-bold" style={{ color: team.color }}>
+            {team.emoji ? `${team.emoji} ` : ""}
+            {team.name} buzzed!
+          </span>
+          <button onClick={onRight} className="rounded-lg bg-emerald-600 px-3 py-1 text-sm font-medium hover:bg-emerald-500">
+            ✓ Right +{points}
+          </button>
+          <button onClick={onWrong} className="rounded-lg bg-rose-600 px-3 py-1 text-sm font-medium hover:bg-rose-500">
+            ✗ Wrong
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function BuzzLog({ buzzes, teams, open }) {
+  const fmt = (sec) => `${Math.floor(sec / 60)}:${pad2(Math.floor(sec % 60))}`;
+  const first = buzzes[0]?.at;
+  return (
+    <div className="mt-4 rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+      <div className="mb-3 flex items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Buzzes</h2>
+        <span className={`text-xs ${open ? "text-emerald-400" : "text-slate-400"}`}>{open ? "Buzzers live" : "Buzzers locked"}</span>
+      </div>
+      {buzzes.length === 0 ? (
+        <p className="text-sm text-slate-400">No buzzes this round yet.</p>
+      ) : (
+        <ol className="space-y-1">
+          {buzzes.map((b, i) => {
+            const team = teams.find((t) => t.id === b.teamId);
+            return (
+              <li key={b.id} className={`flex items-center gap-3 text-sm ${b.locked ? "text-slate-500" : ""}`}>
+                <span className="w-5 text-right text-xs text-slate-400">{i + 1}.</span>
+                <span className="w-12 font-mono text-xs tabular-nums text-slate-400">{fmt(b.elapsed)}</span>
+                <span className="w-16 font-mono text-xs tabular-nums text-slate-500" title="After the first buzz">
+                  {i > 0 ? `+${((b.at - first) / 1000).toFixed(2)}s` : ""}
+                </span>
+                <span className="flex-1 truncate font-semibold" style={{ color: b.locked ? undefined : team?.color }}>
+                  {team?.name ?? b.teamId}
+                </span>
+                <span className="text-xs text-slate-400">{b.source === "device" ? "phone" : "key"}</span>
+                {b.locked ? (
+                  <Badge label="locked out" />
+                ) : b.result ? (
+                  <Badge label={b.result === "right" ? "✓ Right" : "✗ Wrong"} variant={b.result === "right" ? "success" : "warn"} />
+                ) : (
+                  <Badge label="answering…" variant="warn" />
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+function WagerPanel({ round, teams, open, onBet, onMark, onLock, onSettle, onReset }) {
+  const bets = round.bets || {};
+  const results = round.betResults || {};
+  const settled = round.settlement;
+  const unmarked = unmarkedTeams(round).length;
+  return (
+    <div className="mt-4 rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Wagers</h2>
+        <button onClick={onReset} className="rounded-md bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700" title="Forget the bets; settled points stay on the scoreboard">
+          Reset bets
+        </button>
+      </div>
+      <p className="mb-3 text-sm text-slate-400">
+        {settled
+          ? "Bets settled."
+          : open
+            ? "Betting is open and the image is hidden from players. Each team bets up to its current score."
+            : round.reveal.answer
+              ? "Mark each team right or wrong, then settle."
+              : "Bets are locked. Reveal the answer to settle them."}
+      </p>
+      <div className="space-y-2">
+        {teams.map((t) => {
+          const row = settled?.find((r) => r.teamId === t.id);
+          return (
+            <div key={t.id} className="flex flex-wrap items-center gap-3 rounded-xl border border-white/10 p-2">
+              <span className="h-3 w-3 rounded-full" style={{ background: t.color }} />
+              <span className="w-28 truncate text-sm font-semibold">{t.name}</span>
+              <span className="w-16 text-xs text-slate-400 tabular-nums">{t.score} pts</span>
+              {row ? (
+                <Badge label={`${row.right ? "✓ Won" : "✗ Lost"} ${row.bet} · ${row.before} → ${row.after}`} variant={row.right ? "success" : "warn"} />
+              ) : (
+                <>
+                  <input
+                    type="number"
+                    min={0}
+                    max={t.score}
+                    value={bets[t.id] ?? ""}
+                    onChange={(e) => onBet(t.id, e.target.value)}
+                    disabled={!open}
+                    placeholder="bet"
+                    className="w-20 rounded-lg bg-slate-800 px-2 py-1 text-sm outline-none disabled:opacity-50"
+                  />
+                  {round.reveal.answer && bets[t.id] != null && (
+                    <div className="flex gap-1">
+                      {[
+                        [true, "✓ Right", "bg-emerald-600"],
+                        [false, "✗ Wrong", "bg-rose-600"],
+                      ].map(([right, label, on]) => (
+                        <button
+                          key={label}
+                          onClick={() => onMark(t.id, right)}
+                          className={`rounded-md px-2 py-1 text-xs ${results[t.id] === right ? on : "bg-slate-700/80 hover:bg-slate-600/80"}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      {!settled && (
+        <div className="mt-3 flex justify-end">
+          {open ? (
+            <button onClick={onLock} className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500">
+              Lock bets & start
+            </button>
+          ) : (
+            <button
+              onClick={onSettle}
+              disabled={!round.reveal.answer || unmarked > 0 || Object.keys(bets).length === 0}
+              className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500 disabled:pointer-events-none disabled:opacity-50"
+              title={unmarked > 0 ? `${unmarked} team${unmarked > 1 ? "s" : ""} still to mark` : "Win or lose each bet on the scoreboard"}
+            >
+              Settle bets
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MapGuessPanel({ mapUrl, aspect, round, teams, guessTeam, setGuessTeam, onPlace, onClear, results, scoring, onAward }) {
+  const revealed = !!round?.reveal.answer;
+  const pins = results
+    .map((r, i) => r.guess && { id: r.teamId, ...r.guess, color: teams[i].color, label: teams[i].name })
+    .filter(Boolean);
+
+  return (
+    <div className="mt-4 rounded-2xl border border-white/10 bg-slate-900/60 p-4 shadow">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h2 className="text-lg font-semibold">Map Guesses</h2>
+        <div className="flex flex-wrap gap-1">
+          {teams.map((t, i) => (
+            <button
+              key={t.id}
+              onClick={() => setGuessTeam(i)}
+              className={`rounded-md px-2 py-1 text-xs ${i === guessTeam ? "ring-2 ring-white" : "opacity-70 hover:opacity-100"}`}
+              style={{ background: t.color }}
+            >
+              {t.name}
+              {round?.guesses?.[t.id] ? " ✓" : ""}
+            </button>
+          ))}
+        </div>
+      </div>
+      {round ? (
+        <>
+          <MapBoard
+            mapUrl={mapUrl}
+            aspect={aspect}
+            pins={pins}
+            target={revealed ? round.location : null}
+            showLines={revealed}
+            onPick={round.mapAwarded ? undefined : onPlace}
+          />
+          {!round.location && <p className="mt-2 text-xs text-amber-300">This round has no true location yet; set it in the editor.</p>}
+          {revealed && round.location && (
+            <div className="mt-3 flex flex-wrap items-end justify-between gap-3">
+              <table className="text-sm">
+                <tbody>
+                  {results.map((r, i) => (
+                    <tr key={r.teamId}>
+                      <td className="pr-3" style={{ color: teams[i].color }}>{teams[i].name}</td>
+                      <td className="pr-3 text-slate-400">{r.guess ? formatDistance(r.distance, scoring) : "no guess"}</td>
+                      <td className="font-semibold tabular-nums">+{r.points}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                onClick={onAward}
+                disabled={round.mapAwarded}
+                className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500 disabled:pointer-events-none disabled:opacity-50"
+              >
+                {round.mapAwarded ? "Points awarded" : "Award points"}
+              </button>
+            </div>
+          )}
+          {!revealed && (
+            <div className="mt-2 flex items-center justify-between text-xs text-slate-400">
+              <span>Pick a team, then click the map to drop its guess. Reveal the answer to score.</span>
+              <button onClick={onClear} className="rounded-md bg-slate-800 px-2 py-1 hover:bg-slate-700">Clear guesses</button>
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="text-sm text-slate-400">Select a round first.</p>
+      )}
+    </div>
+  );
+}
+
+// Tag chips plus an input that adds a tag on Enter or comma; suggests tags other rounds already use.
+function TagEditor({ tags, knownTags, onChange }) {
+  const [draft, setDraft] = useState("");
+  const add = (raw) => {
+    const tag = normalizeTag(raw);
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setDraft("");
+  };
+
+  return (
+    <div>
+      <label className="mb-1 block text-sm">Tags</label>
+      <div className="flex flex-wrap items-center gap-1 rounded-lg bg-slate-800 px-2 py-1">
+        {tags.map((t) => (
+          <span key={t} className="flex items-center gap-1 rounded bg-slate-700 px-1.5 py-0.5 text-xs">
+            #{t}
+            <button onClick={() => onChange(tags.filter((x) => x !== t))} className="text-slate-400 hover:text-white" title="Remove tag">
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          value={draft}
+          list="pg-known-tags"
+          onChange={(e) => (e.target.value.endsWith(",") ? add(e.target.value.slice(0, -1)) : setDraft(e.target.value))}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") add(draft);
+            else if (e.key === "Backspace" && !draft && tags.length) onChange(tags.slice(0, -1));
+          }}
+          onBlur={() => draft && add(draft)}
+          placeholder={tags.length ? "" : "dorms, sports, hard…"}
+          className="min-w-[6rem] flex-1 bg-transparent py-1 text-sm outline-none"
+        />
+        <datalist id="pg-known-tags">
+          {knownTags.filter((t) => !tags.includes(t)).map((t) => (
+            <option key={t} value={t} />
+          ))}
+        </datalist>
+      </div>
+    </div>
+  );
+}
+
+// Chips in the Rounds list for whatever a round overrides.
+function OverrideBadges({ overrides }) {
+  const o = overrides || {};
+  const chips = [
+    o.duration != null && `⏱ ${o.duration}s`,
+    o.autoUnblur != null && (o.autoUnblur ? "auto reveal" : "manual reveal"),
+    o.startBlur != null && `blur ${o.startBlur}px`,
+    o.initialZoom != null && `zoom ${o.initialZoom}x`,
+    o.points != null && `${o.points} pt${o.points === 1 ? "" : "s"}`,
+  ].filter(Boolean);
+  if (!chips.length) return null;
+  return (
+    <div className="mt-1 flex flex-wrap gap-1">
+      {chips.map((c) => (
+        <span key={c} className="rounded bg-indigo-500/20 px-1.5 py-0.5 text-[10px] text-indigo-200">
+          {c}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Per-round replacements for the global timer and scoring settings; an empty field uses the global value.
+function RoundOverrides({ round, updateRound, defaults }) {
+  const o = round.overrides || {};
+  const set = (key, value) => {
+    const next = { ...o };
+    if (value == null || Number.isNaN(value)) delete next[key];
+    else next[key] = value;
+    updateRound(round.id, { overrides: next });
+  };
+
+  const numberField = (key, label, min, max, step = 1) => (
+    <div className="flex items-center justify-between gap-2">
+      <label className="text-xs text-slate-300">{label}</label>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={o[key] ?? ""}
+        placeholder={String(defaults[key])}
+        onChange={(e) => set(key, e.target.value === "" ? null : Number(e.target.value))}
+        onBlur={() => o[key] != null && set(key, Math.max(min, Math.min(max, o[key])))}
+        className="w-20 rounded-lg bg-slate-800 px-2 py-1 text-right text-sm"
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between">
+        <label className="text-sm">Round settings</label>
+        {Object.keys(o).length > 0 && (
+          <button onClick={() => updateRound(round.id, { overrides: {} })} className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700">
+            Use defaults
+          </button>
+        )}
+      </div>
+      <div className="space-y-1 rounded-lg border border-white/10 p-2">
+        {numberField("duration", "Duration (sec)", 10, 300)}
+        <div className="flex items-center justify-between gap-2">
+          <label className="text-xs text-slate-300">Auto reveal over timer</label>
+          <select
+            value={o.autoUnblur == null ? "" : String(o.autoUnblur)}
+            onChange={(e) => set("autoUnblur", e.target.value === "" ? null : e.target.value === "true")}
+            className="w-28 rounded-lg bg-slate-800 px-1 py-1 text-sm"
+          >
+            <option value="">{defaults.autoUnblur ? "On" : "Off"} (default)</option>
+            <option value="true">On</option>
+            <option value="false">Off</option>
+          </select>
+        </div>
+        {numberField("startBlur", "Starting blur (px)", 0, 30)}
+        {numberField("initialZoom", "Starting zoom (x)", 1, 3, 0.1)}
+        {numberField("points", "Points for a correct answer", 1, 100)}
+      </div>
+      <p className="mt-1 text-xs text-slate-400">Leave a field empty to use the global setting.</p>
+    </div>
+  );
+}
+
+const CROP_ASPECTS = [
+  ["", "Free"],
+  ["1.3333", "4:3"],
+  ["1.7778", "16:9"],
+  ["1", "1:1"],
+];
+
+// Crop and rotate a round's stored photo. Drag on the preview to draw the crop; the result replaces the photo.
+function CropDialog({ roundId, quality, onApply, onClose }) {
+  const [source, setSource] = useState(null); // { blob, width, height } of the stored photo
+  const [rotate, setRotate] = useState(0);
+  const [crop, setCrop] = useState(null); // { x, y, width, height } fractions of the rotated photo
+  const [aspect, setAspect] = useState("");
+  const [previewUrl, setPreviewUrl] = useState("");
+  const [busy, setBusy] = useState(false);
+  const dragRef = useRef(null); // start point of the crop being drawn
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const blob = await getImage(roundId);
+      const bitmap = await createImageBitmap(blob);
+      if (!cancelled) setSource({ blob, width: bitmap.width, height: bitmap.height });
+      bitmap.close();
+    })().catch(() => !cancelled && onClose());
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [roundId]);
+
+  useEffect(() => {
+    if (!source) return;
+    let url = "";
+    let cancelled = false;
+    processImage(source.blob, { rotate, maxSize: 1200, type: "image/jpeg", quality: 0.8 })
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreviewUrl(url);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [source, rotate]);
+
+  const turned = rotate % 180 !== 0;
+  const rw = source ? (turned ? source.height : source.width) : 1;
+  const rh = source ? (turned ? source.width : source.height) : 1;
+
+  const pointAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: clamp01((e.clientX - rect.left) / rect.width), y: clamp01((e.clientY - rect.top) / rect.height) };
+  };
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = pointAt(e);
+    setCrop(null);
+  };
+  const onPointerMove = (e) => {
+    const start = dragRef.current;
+    if (!start) return;
+    const p = pointAt(e);
+    let w = Math.abs(p.x - start.x);
+    let h = Math.abs(p.y - start.y);
+    if (aspect) {
+      // keep width / height in pixels at the chosen ratio, shrinking to stay inside the photo
+      h = (w * rw) / rh / Number(aspect);
+      const room = p.y < start.y ? start.y : 1 - start.y;
+      if (h > room) {
+        w *= room / h;
+        h = room;
+      }
+    }
+    const x = p.x < start.x ? start.x - w : start.x;
+    const y = p.y < start.y ? start.y - h : start.y;
+    setCrop({ x, y, width: w, height: h });
+  };
+  const onPointerUp = () => {
+    dragRef.current = null;
+    setCrop((c) => (c && c.width > 0.02 && c.height > 0.02 ? c : null));
+  };
+
+  const turn = (dir) => {
+    setRotate((r) => ROTATIONS[(ROTATIONS.indexOf(r) + dir + ROTATIONS.length) % ROTATIONS.length]);
+    setCrop(null);
+  };
+
+  const apply = async () => {
+    setBusy(true);
+    try {
+      onApply(await processImage(source.blob, { rotate, crop, quality }));
+    } catch (err) {
+      alert(`Could not crop the photo: ${err.message}`);
+      setBusy(false);
+    }
+  };
+
+  const result = source && outputSize(source.width, source.height, { rotate, crop });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" onClick={onClose}>
+      <div
+        className="max-h-[90vh] w-full max-w-3xl overflow-y-auto rounded-2xl border border-white/10 bg-slate-900 p-5 shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="mb-3 flex items-center justify-between">
+          <h2 className="text-lg font-semibold">Crop / rotate</h2>
+          <button onClick={onClose} className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700">
+            Close
+          </button>
+        </div>
+        <div className="mb-3 flex flex-wrap items-center gap-2 text-xs">
+          <button onClick={() => turn(-1)} className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700" title="Rotate left">
+            ⟲ Left
+          </button>
+          <button onClick={() => turn(1)} className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700" title="Rotate right">
+            ⟳ Right
+          </button>
+          <select
+            value={aspect}
+            onChange={(e) => {
+              setAspect(e.target.value);
+              setCrop(null);
+            }}
+            className="rounded-lg bg-slate-800 px-2 py-1"
+          >
+            {CROP_ASPECTS.map(([value, label]) => (
+              <option key={label} value={value}>{label}</option>
+            ))}
+          </select>
+          <button onClick={() => setCrop(null)} disabled={!crop} className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700 disabled:opacity-40">
+            Clear crop
+          </button>
+          {result && <span className="ml-auto text-slate-400">Result: {result.width} × {result.height}</span>}
+        </div>
+        {previewUrl ? (
+          <div
+            className="relative mx-auto w-fit cursor-crosshair touch-none select-none overflow-hidden"
+            onPointerDown={onPointerDown}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+          >
+            <img src={previewUrl} alt="Crop preview" className="block max-h-[60vh] max-w-full" draggable={false} />
+            {crop && (
+              <div
+                className="pointer-events-none absolute border-2 border-white shadow-[0_0_0_9999px_rgba(0,0,0,0.55)]"
+                style={{ left: `${crop.x * 100}%`, top: `${crop.y * 100}%`, width: `${crop.width * 100}%`, height: `${crop.height * 100}%` }}
+              />
+            )}
+          </div>
+        ) : (
+          <div className="py-16 text-center text-sm text-slate-400">Loading photo…</div>
+        )}
+        <p className="mt-2 text-xs text-slate-400">Drag on the photo to crop. Applying replaces the photo and clears its zoom focus points.</p>
+        <div className="mt-3 flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-lg bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700">
+            Cancel
+          </button>
+          <button
+            onClick={apply}
+            disabled={!source || busy || (!crop && rotate === 0)}
+            className="rounded-lg bg-emerald-600 px-3 py-2 text-sm font-medium hover:bg-emerald-500 disabled:pointer-events-none disabled:opacity-50"
+          >
+            {busy ? "Applying…" : "Apply"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Click the photo to set where the zoom starts; optionally an end point to pan to while zooming out.
+function FocusPicker({ round, updateRound }) {
+  const [target, setTarget] = useState("focus"); // which point the next click sets: "focus" | "focusEnd"
+  const { focus, focusEnd } = round;
+
+  const onClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = Math.round(((e.clientX - rect.left) / rect.width) * 1000) / 1000;
+    const y = Math.round(((e.clientY - rect.top) / rect.height) * 1000) / 1000;
+    // an end point needs a start point; the first click always sets the start
+    updateRound(round.id, target === "focusEnd" && focus ? { focusEnd: { x, y } } : { focus: { x, y } });
+  };
+
+  const marker = (p, label, cls) => (
+    <div
+      className={`pointer-events-none absolute -translate-x-1/2 -translate-y-1/2 rounded-full px-1.5 text-[10px] font-bold shadow ${cls}`}
+      style={{ left: `${p.x * 100}%`, top: `${p.y * 100}%` }}
+    >
+      {label}
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between gap-2">
+        <label className="text-sm">Zoom focus (click the photo)</label>
+        <div className="flex gap-1 text-xs">
+          {[
+            ["focus", "Start"],
+            ["focusEnd", "Pan to"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTarget(key)}
+              className={`rounded-lg px-2 py-1 ${target === key ? "bg-indigo-600" : "bg-slate-800 hover:bg-slate-700"}`}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            onClick={() => updateRound(round.id, { focus: null, focusEnd: null })}
+            disabled={!focus}
+            className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700 disabled:opacity-40"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+      <div className="relative cursor-crosshair overflow-hidden rounded-lg border border-white/10" onClick={onClick}>
+        <img src={round.imageUrl} alt={round.title || round.imageName} className="block w-full select-none" draggable={false} />
+        {focus && focusEnd && (
+          <svg className="pointer-events-none absolute inset-0 h-full w-full" viewBox="0 0 100 100" preserveAspectRatio="none">
+            <line
+              x1={focus.x * 100}
+              y1={focus.y * 100}
+              x2={focusEnd.x * 100}
+              y2={focusEnd.y * 100}
+              stroke="white"
+              strokeWidth="1.5"
+              strokeDasharray="3 2"
+              vectorEffect="non-scaling-stroke"
+            />
+          </svg>
+        )}
+        {focus && marker(focus, "Start", "bg-amber-400 text-slate-900")}
+        {focus && focusEnd && marker(focusEnd, "End", "bg-indigo-500 text-white")}
+      </div>
+      <p className="mt-1 text-xs text-slate-400">
+        {!focus
+          ? "The round zooms in on the center of the photo."
+          : focusEnd
+            ? "The round starts zoomed in on Start and pans to End as the timer runs."
+            : "The round starts zoomed in on Start."}
+      </p>
+    </div>
+  );
+}
+
+function RoundEditor({ round, updateRound, map, defaults, knownTags, importPhoto, storeImage, quality, mapBounds }) {
   const [local, setLocal] = useState(round);
+  const [cropping, setCropping] = useState(false);
   useEffect(() => setLocal(round), [round.id]);
 
   useEffect(() => {
-    // live patching
-    updateRound(round.id, local);
+    // live patching (only the fields edited here, so a rebuilt imageUrl or reveal state isn't clobbered)
+    updateRound(round.id, { answer: local.answer, aliases: local.aliases || [], hints: local.hints, options: local.options, correctOption: local.correctOption });
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [local.answer, local.hints, local.imageUrl, local.imageName]);
+  }, [local.answer, local.aliases, local.hints, local.options, local.correctOption]);
 
-  const onPickImage = (file) => {
-    const url = URL.createObjectURL(file);
-    setLocal((r) => ({ ...r, imageUrl: url, imageName: file.name }));
+  const setHint = (i, patch) => setLocal((r) => ({ ...r, hints: r.hints.map((h, j) => (j === i ? { ...h, ...patch } : h)) }));
+  const moveHint = (i, dir) =>
+    setLocal((r) => {
+      const hints = [...r.hints];
+      [hints[i], hints[i + dir]] = [hints[i + dir], hints[i]];
+      return { ...r, hints };
+    });
+
+  const aliases = local.aliases || [];
+  const setAlias = (i, value) => setLocal((r) => ({ ...r, aliases: aliases.map((a, j) => (j === i ? value : a)) }));
+
+  const setType = (type) => {
+    if (type === "choice" && local.options.length < MIN_OPTIONS) {
+      setLocal((r) => ({ ...r, options: [...r.options, ...Array(MIN_OPTIONS - r.options.length).fill("")] }));
+    }
+    updateRound(round.id, { type });
   };
+  const setOption = (i, value) => setLocal((r) => ({ ...r, options: r.options.map((o, j) => (j === i ? value : o)) }));
+  const removeOption = (i) =>
+    setLocal((r) => ({
+      ...r,
+      options: r.options.filter((_, j) => j !== i),
+      correctOption: i === r.correctOption ? 0 : i < r.correctOption ? r.correctOption - 1 : r.correctOption,
+    }));
+
+  const onPickImage = async (file) => {
+    if (!file) return;
+    let fields;
+    try {
+      fields = await importPhoto(round.id, file);
+    } catch (err) {
+      alert(`${err.message}, so the image was not changed.`);
+      return;
+    }
+    if (round.imageUrl) URL.revokeObjectURL(round.imageUrl);
+    if (round.thumbUrl) URL.revokeObjectURL(round.thumbUrl);
+    updateRound(round.id, fields);
+  };
+  // Focal points are fractions of the old framing, so they are cleared with it.
+  const onCropped = async (blob) => {
+    const urls = await storeImage(round.id, blob);
+    if (round.imageUrl) URL.revokeObjectURL(round.imageUrl);
+    if (round.thumbUrl) URL.revokeObjectURL(round.thumbUrl);
+    updateRound(round.id, { ...urls, focus: null, focusEnd: null });
+    setCropping(false);
+  };
+  const gpsLocation = gpsToMap(round.gps, mapBounds);
 
   return (
     <div className="space-y-3">
       <div className="flex items-start gap-3">
         <div className="h-20 w-32 overflow-hidden rounded-lg border border-white/10 bg-slate-800">
-          {local.imageUrl ? (
-            <img src={local.imageUrl} alt={local.imageName} className="h-full w-full object-cover" />
+          {round.imageUrl ? (
+            <img src={round.thumbUrl || round.imageUrl} alt={round.title || round.imageName} className="h-full w-full object-cover" />
           ) : (
             <div className="flex h-full w-full items-center justify-center text-xs text-slate-500">No image</div>
           )}
@@ -906,40 +3369,251 @@ function RoundEditor({ round, updateRound }) {
             onChange={(e) => e.target.files && onPickImage(e.target.files[0])}
             className="block w-full text-sm"
           />
+          {round.imageName && <div className="mt-1 truncate text-xs text-slate-500" title="Only shown here">File: {round.imageName}</div>}
+          {round.imageUrl && (
+            <button onClick={() => setCropping(true)} className="mt-2 rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700">
+              ✂ Crop / rotate
+            </button>
+          )}
         </div>
       </div>
+      {cropping && <CropDialog roundId={round.id} quality={quality} onApply={onCropped} onClose={() => setCropping(false)} />}
 
-      <div>
-        <label className="mb-1 block text-sm">Answer (what/where)</label>
-        <input
-          value={local.answer}
-          onChange={(e) => setLocal((r) => ({ ...r, answer: e.target.value }))}
-          placeholder="location"
-          className="w-full rounded-lg bg-slate-800 px-3 py-2 text-sm outline-none"
-        />
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="mb-1 block text-sm">Display name</label>
+          <input
+            value={round.title || ""}
+            onChange={(e) => updateRound(round.id, { title: e.target.value })}
+            placeholder="shown instead of the file name"
+            className="w-full rounded-lg bg-slate-800 px-3 py-2 text-sm outline-none"
+          />
+        </div>
+        <div>
+          <label className="mb-1 block text-sm">Round type</label>
+          <select
+            value={round.type || "standard"}
+            onChange={(e) => setType(e.target.value)}
+            className="w-full rounded-lg bg-slate-800 px-2 py-2 text-sm"
+          >
+            {ROUND_TYPES.map((t) => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
-      <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
-        {[0, 1, 2].map((i) => (
-          <div key={i}>
-            <label className="mb-1 block text-sm">Hint {i + 1}</label>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="mb-1 block text-sm">Taken on</label>
+          <input
+            type="datetime-local"
+            step={1}
+            value={round.takenAt || ""}
+            onChange={(e) => updateRound(round.id, { takenAt: e.target.value || null })}
+            className="w-full rounded-lg bg-slate-800 px-2 py-1.5 text-sm outline-none"
+          />
+        </div>
+        <div>
+          <label className="mb-1 block text-sm">Photo GPS</label>
+          {round.gps ? (
+            <div className="flex items-center gap-1 text-xs">
+              <span className="flex-1 truncate text-slate-300" title={`${round.gps.lat}, ${round.gps.lon}`}>
+                {round.gps.lat.toFixed(5)}, {round.gps.lon.toFixed(5)}
+              </span>
+              {map && gpsLocation && (
+                <button
+                  onClick={() => updateRound(round.id, { location: gpsLocation })}
+                  className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700"
+                  title="Set the true location from the photo's GPS"
+                >
+                  Use
+                </button>
+              )}
+              <button
+                onClick={() => updateRound(round.id, { gps: null })}
+                className="rounded-lg bg-slate-800 px-2 py-1 hover:bg-slate-700"
+                title="Forget the photo's GPS position"
+              >
+                ×
+              </button>
+            </div>
+          ) : (
+            <div className="py-1.5 text-xs text-slate-500">None in the photo</div>
+          )}
+        </div>
+      </div>
+
+      {isChoice(round) ? (
+        <div>
+          <label className="mb-1 block text-sm">Options (select the right one)</label>
+          <div className="space-y-1">
+            {local.options.map((o, i) => (
+              <div key={i} className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name={`correct-${round.id}`}
+                  checked={local.correctOption === i}
+                  onChange={() => setLocal((r) => ({ ...r, correctOption: i }))}
+                  title="The right answer"
+                />
+                <span className="w-5 text-center text-sm font-bold">{optionLetter(i)}</span>
+                <input
+                  value={o}
+                  onChange={(e) => setOption(i, e.target.value)}
+                  placeholder={`option ${optionLetter(i)}`}
+                  className="flex-1 rounded-lg bg-slate-800 px-3 py-1 text-sm outline-none"
+                />
+                <button
+                  onClick={() => removeOption(i)}
+                  disabled={local.options.length <= MIN_OPTIONS}
+                  className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700 disabled:opacity-40"
+                  title="Remove option"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            {local.options.length < MAX_OPTIONS && (
+              <button
+                onClick={() => setLocal((r) => ({ ...r, options: [...r.options, ""] }))}
+                className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700"
+              >
+                + Add option
+              </button>
+            )}
+          </div>
+          <div className="mt-2 flex items-center justify-between gap-3">
+            <label className="text-sm text-slate-300">Show options</label>
+            <select
+              value={round.optionReveal || "all"}
+              onChange={(e) => updateRound(round.id, { optionReveal: e.target.value })}
+              className="rounded-lg bg-slate-800 px-2 py-1 text-sm"
+            >
+              {OPTION_REVEALS.map((r) => (
+                <option key={r.id} value={r.id}>{r.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div>
+            <label className="mb-1 block text-sm">Answer (what/where)</label>
             <input
-              value={local.hints[i]}
-              onChange={(e) => {
-                const arr = [...local.hints];
-                arr[i] = e.target.value;
-                setLocal((r) => ({ ...r, hints: arr }));
-              }}
-              placeholder={i === 0 ? "one" : i === 1 ? "two" : "three"}
+              value={local.answer}
+              onChange={(e) => setLocal((r) => ({ ...r, answer: e.target.value }))}
+              placeholder="location"
               className="w-full rounded-lg bg-slate-800 px-3 py-2 text-sm outline-none"
             />
           </div>
-        ))}
+
+          <div>
+            <label className="mb-1 block text-sm">Also accept</label>
+            <div className="space-y-1">
+              {aliases.map((a, i) => (
+                <div key={i} className="flex gap-1">
+                  <input
+                    value={a}
+                    onChange={(e) => setAlias(i, e.target.value)}
+                    placeholder="alias or nickname"
+                    className="flex-1 rounded-lg bg-slate-800 px-3 py-1 text-sm outline-none"
+                  />
+                  <button
+                    onClick={() => setLocal((r) => ({ ...r, aliases: aliases.filter((_, j) => j !== i) }))}
+                    className="rounded-lg bg-slate-800 px-2 text-xs hover:bg-slate-700"
+                    title="Remove alias"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => setLocal((r) => ({ ...r, aliases: [...aliases, ""] }))}
+                className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700"
+              >
+                + Add alias
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+
+      <div>
+        <label className="mb-1 block text-sm">Hints (revealed in this order)</label>
+        <div className="space-y-2">
+          {local.hints.map((h, i) => (
+            <div key={i} className="rounded-lg border border-white/10 p-2">
+              <div className="flex gap-1">
+                <span className="w-6 pt-1 text-xs text-slate-400">{i + 1}.</span>
+                <input
+                  value={h.text}
+                  onChange={(e) => setHint(i, { text: e.target.value })}
+                  placeholder="hint text"
+                  className="flex-1 rounded-lg bg-slate-800 px-3 py-1 text-sm outline-none"
+                />
+                <button onClick={() => moveHint(i, -1)} disabled={i === 0} className="rounded-lg bg-slate-800 px-2 text-xs hover:bg-slate-700 disabled:opacity-40" title="Move up">↑</button>
+                <button onClick={() => moveHint(i, 1)} disabled={i === local.hints.length - 1} className="rounded-lg bg-slate-800 px-2 text-xs hover:bg-slate-700 disabled:opacity-40" title="Move down">↓</button>
+                <button
+                  onClick={() => setLocal((r) => ({ ...r, hints: r.hints.filter((_, j) => j !== i) }))}
+                  className="rounded-lg bg-slate-800 px-2 text-xs hover:bg-slate-700"
+                  title="Remove hint"
+                >
+                  ×
+                </button>
+              </div>
+              <div className="mt-1 flex items-center gap-2 pl-7 text-xs text-slate-400">
+                <label>Costs</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={h.cost ?? ""}
+                  onChange={(e) => setHint(i, { cost: e.target.value === "" ? null : Math.max(0, Number(e.target.value)) })}
+                  placeholder="0"
+                  className="w-14 rounded-md bg-slate-800 px-2 py-0.5 text-right"
+                />
+                <label>pts, caps at</label>
+                <input
+                  type="number"
+                  min={0}
+                  value={h.cap ?? ""}
+                  onChange={(e) => setHint(i, { cap: e.target.value === "" ? null : Math.max(0, Number(e.target.value)) })}
+                  placeholder="–"
+                  className="w-14 rounded-md bg-slate-800 px-2 py-0.5 text-right"
+                />
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={() => setLocal((r) => ({ ...r, hints: [...r.hints, makeHint()] }))}
+            className="rounded-lg bg-slate-800 px-2 py-1 text-xs hover:bg-slate-700"
+          >
+            + Add hint
+          </button>
+        </div>
       </div>
 
+      <TagEditor tags={round.tags || []} knownTags={knownTags} onChange={(tags) => updateRound(round.id, { tags })} />
+
+      <RoundOverrides round={round} updateRound={updateRound} defaults={defaults} />
+
+      {round.imageUrl && <FocusPicker round={round} updateRound={updateRound} />}
+
+      {map && (
+        <div>
+          <label className="mb-1 block text-sm">True location (click the map)</label>
+          <MapBoard
+            mapUrl={map.url}
+            aspect={map.aspect}
+            target={round.location}
+            onPick={(x, y) => updateRound(round.id, { location: { x, y } })}
+          />
+        </div>
+      )}
+
       <div className="flex items-center justify-end gap-2 pt-1">
         <button
-          onClick={() => setLocal((r) => ({ ...r, reveal: { hint1: false, hint2: false, hint3: false, answer: false } }))}
+          onClick={() => updateRound(round.id, { reveal: hiddenReveal(round) })}
           className="rounded-lg bg-slate-800 px-3 py-2 text-sm hover:bg-slate-700"
         >
           Reset reveals
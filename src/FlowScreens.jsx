@@ -0,0 +1,229 @@
+import React, { useEffect, useState } from "react";
+import { rankTeams } from "./teams.js";
+
+/**
+ * Full-screen participant screens for the non-round phases of the game flow (see flow.js), plus
+ * the betting and settlement screens of wager rounds (see wager.js).
+ * Teams are `{ id, name, color, score, emoji?, logo? }` as broadcast in MSG.SCORES.
+ */
+
+function TeamIcon({ team, className = "h-8 w-8" }) {
+  if (team.logo) return <img src={team.logo} alt="" className={`${className} rounded object-contain`} />;
+  if (team.emoji) return <span className="text-3xl leading-none">{team.emoji}</span>;
+  return <span className={`${className} inline-block rounded-full`} style={{ background: team.color }} />;
+}
+
+// Flips to true just after mount, so CSS transitions run from their initial state.
+function useEntered(delay = 50) {
+  const [entered, setEntered] = useState(false);
+  useEffect(() => {
+    const t = setTimeout(() => setEntered(true), delay);
+    return () => clearTimeout(t);
+  }, [delay]);
+  return entered;
+}
+
+export function TitleScreen({ teams, total }) {
+  return (
+    <div className="flex h-full w-full flex-col items-center justify-center gap-10 bg-gradient-to-b from-slate-950 to-indigo-950 p-10 text-center">
+      <div>
+        <h1 className="text-6xl font-black tracking-tight">Campus GeoGuessr</h1>
+        <p className="mt-3 text-xl text-slate-300">
+          {total > 0 ? `${total} round${total === 1 ? "" : "s"} · where on campus was this taken?` : "Getting ready…"}
+        </p>
+      </div>
+      {teams.length > 0 && (
+        <div className="flex flex-wrap justify-center gap-4">
+          {teams.map((t) => (
+            <div key={t.id} className="flex items-center gap-3 rounded-2xl border-b-4 bg-white/5 px-5 py-3 text-2xl font-semibold" style={{ borderColor: t.color }}>
+              <TeamIcon team={t} />
+              {t.name}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function Leaderboard({ teams, awarded = {}, index, total }) {
+  const entered = useEntered();
+  const ranked = rankTeams(teams);
+  const top = Math.max(1, ...ranked.map((t) => t.score));
+  return (
+    <div className="flex h-full w-full flex-col items-center justify-center bg-slate-950 p-10">
+      <h2 className="text-5xl font-black">Leaderboard</h2>
+      <p className="mb-8 mt-2 text-lg text-slate-400">
+        After round {index + 1} of {total}
+      </p>
+      <div className="w-full max-w-4xl space-y-3">
+        {ranked.map((t) => (
+          <div key={t.id} className="flex items-center gap-4">
+            <span className="w-10 text-right text-3xl font-bold text-slate-400">{t.rank}</span>
+            <TeamIcon team={t} />
+            <div className="relative h-14 flex-1 overflow-hidden rounded-xl bg-white/5">
+              <div
+                className="absolute inset-y-0 left-0 rounded-xl transition-all duration-1000 ease-out"
+                style={{ width: entered ? `${(t.score / top) * 100}%` : "0%", background: t.color }}
+              />
+              <div className="relative flex h-full items-center justify-between px-4 text-2xl font-semibold">
+                <span>{t.name}</span>
+                <span className="tabular-nums">
+                  {awarded[t.id] ? (
+                    <span className={`mr-3 text-lg ${awarded[t.id] > 0 ? "text-emerald-300" : "text-rose-300"}`}>
+                      {awarded[t.id] > 0 ? "+" : "−"}
+                      {Math.abs(awarded[t.id])}
+                    </span>
+                  ) : null}
+                  {t.score}
+                </span>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Podium blocks left to right: 2nd, 1st, 3rd.
+const PODIUM_SLOTS = [
+  { place: 1, height: "h-48" },
+  { place: 0, height: "h-72" },
+  { place: 2, height: "h-32" },
+];
+const STEP_MS = 1200;
+
+export function Podium({ teams }) {
+  const ranked = rankTeams(teams);
+  const podium = ranked.slice(0, 3);
+  // reveal third place first, then second, then the winner
+  const [step, setStep] = useState(0);
+  useEffect(() => {
+    if (step >= podium.length) return;
+    const t = setTimeout(() => setStep((s) => s + 1), STEP_MS);
+    return () => clearTimeout(t);
+  }, [step, podium.length]);
+  const shown = (place) => place >= podium.length - step;
+  const winners = ranked.filter((t) => t.rank === 1);
+  const done = step >= podium.length;
+
+  return (
+    <div className="flex h-full w-full flex-col items-center justify-end gap-8 bg-gradient-to-b from-indigo-950 to-slate-950 p-10">
+      <h2 className="text-5xl font-black">{!done || !winners.length ? "Final results" : winners.length > 1 ? "It's a tie!" : `${winners[0].name} wins!`}</h2>
+      <div className="flex items-end gap-4">
+        {PODIUM_SLOTS.map(({ place, height }) => {
+          const t = podium[place];
+          if (!t) return <div key={place} className="w-56" />;
+          const visible = shown(place);
+          return (
+            <div key={place} className="flex w-56 flex-col items-center gap-3">
+              <div
+                className={`flex flex-col items-center gap-2 transition-all duration-700 ${visible ? "translate-y-0 opacity-100" : "translate-y-6 opacity-0"}`}
+              >
+                <TeamIcon team={t} className="h-14 w-14" />
+                <div className="text-center text-2xl font-bold">{t.name}</div>
+                <div className="text-xl tabular-nums text-slate-300">{t.score} pts</div>
+              </div>
+              <div
+                className={`flex w-full items-start justify-center rounded-t-xl pt-3 text-5xl font-black transition-all duration-700 ${visible ? height : "h-4"}`}
+                style={{ background: t.color }}
+              >
+                {visible ? t.rank : ""}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {done && ranked.length > 3 && (
+        <div className="flex flex-wrap justify-center gap-4 text-lg text-slate-300">
+          {ranked.slice(3).map((t) => (
+            <span key={t.id}>
+              {t.rank}. {t.name} · {t.score}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function BetsScreen({ teams, placed, index, total }) {
+  return (
+    <div className="flex h-full w-full flex-col items-center justify-center gap-10 bg-gradient-to-b from-amber-950 to-slate-950 p-10 text-center">
+      <div>
+        <p className="text-xl uppercase tracking-[0.3em] text-amber-300">
+          Round {index + 1} of {total} · wager
+        </p>
+        <h2 className="mt-3 text-6xl font-black">Place your bets</h2>
+        <p className="mt-3 text-xl text-slate-300">Bet up to your score: get it right to win your bet, wrong to lose it.</p>
+      </div>
+      <div className="flex flex-wrap justify-center gap-4">
+        {teams.map((t) => (
+          <div
+            key={t.id}
+            className={`flex items-center gap-3 rounded-2xl border-b-4 px-5 py-3 text-2xl font-semibold transition-opacity ${placed.includes(t.id) ? "bg-white/10" : "bg-white/5 opacity-50"}`}
+            style={{ borderColor: t.color }}
+          >
+            <TeamIcon team={t} />
+            {t.name}
+            <span className="text-lg text-slate-300">{placed.includes(t.id) ? "✓ bet in" : "thinking…"}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Settles one team at a time, smallest bet first, so the biggest swing lands last.
+export function WagerSettlement({ teams, settlement, answer }) {
+  const [step, setStep] = useState(0);
+  useEffect(() => {
+    if (step >= settlement.length) return;
+    const t = setTimeout(() => setStep((s) => s + 1), STEP_MS);
+    return () => clearTimeout(t);
+  }, [step, settlement.length]);
+
+  return (
+    <div className="flex h-full w-full flex-col items-center justify-center bg-gradient-to-b from-slate-950 to-amber-950 p-10">
+      <h2 className="text-5xl font-black">Wagers</h2>
+      {answer && <p className="mb-8 mt-2 text-xl text-slate-300">The answer was {answer}</p>}
+      <div className="w-full max-w-4xl space-y-3">
+        {settlement.map((row, i) => {
+          const team = teams.find((t) => t.id === row.teamId);
+          if (!team) return null;
+          const settled = i < step;
+          return (
+            <div
+              key={row.teamId}
+              className={`flex items-center gap-4 rounded-xl border-l-8 px-5 py-3 text-2xl font-semibold transition-all duration-700 ${
+                settled ? (row.right ? "bg-emerald-600/30" : "bg-rose-600/30") : "bg-white/5"
+              } ${i === step ? "scale-105" : ""}`}
+              style={{ borderColor: team.color }}
+            >
+              <TeamIcon team={team} />
+              <span className="flex-1">{team.name}</span>
+              <span className="text-lg text-slate-300">bet {row.bet}</span>
+              <span className={`w-20 text-center text-4xl font-black transition-opacity duration-700 ${settled ? "opacity-100" : "opacity-0"}`}>
+                {row.right ? "✓" : "✗"}
+              </span>
+              <span className="w-40 text-right tabular-nums">
+                {settled ? (
+                  <>
+                    <span className={`mr-3 text-lg ${row.right ? "text-emerald-300" : "text-rose-300"}`}>
+                      {row.right ? "+" : "−"}
+                      {Math.abs(row.after - row.before)}
+                    </span>
+                    {row.after}
+                  </>
+                ) : (
+                  row.before
+                )}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
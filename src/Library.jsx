@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from "react";
+import App from "./App.jsx";
+import { PackContext, loadLibrary, saveLibrary } from "./storage.js";
+
+/**
+ * Host root: loads the pack library and renders the host app for the active pack.
+ * The app is keyed by pack id, so switching packs remounts it with that pack's stored state.
+ */
+export default function LibraryRoot() {
+  const [library, setLibrary] = useState(null);
+
+  useEffect(() => {
+    loadLibrary().then(setLibrary);
+  }, []);
+
+  const onLibraryChange = (next) => {
+    saveLibrary(next);
+    setLibrary(next);
+  };
+
+  if (!library) return <div className="min-h-screen bg-slate-950" />;
+  return (
+    <PackContext.Provider value={library.activeId}>
+      <App key={library.activeId} library={library} onLibraryChange={onLibraryChange} />
+    </PackContext.Provider>
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import { clamp01 } from "./geo.js";
+
+/**
+ * Campus map with pins. Used for placing a round's true location in the editor, dropping team
+ * guesses on the host panel and showing the results on the participant view.
+ *
+ * pins: [{ id, x, y, color, label }]; target: the true location `{ x, y }` (drawn as a flag),
+ * with dashed lines to every pin when `showLines` is set. `onPick(x, y)` makes the map clickable.
+ */
+export default function MapBoard({ mapUrl, aspect = 1, pins = [], target = null, showLines = false, onPick, className = "" }) {
+  if (!mapUrl) {
+    return (
+      <div className={`flex items-center justify-center rounded-lg bg-slate-800 p-4 text-xs text-slate-500 ${className}`}>
+        No campus map loaded
+      </div>
+    );
+  }
+
+  const handleClick = (e) => {
+    if (!onPick) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onPick(clamp01((e.clientX - rect.left) / rect.width), clamp01((e.clientY - rect.top) / rect.height));
+  };
+
+  return (
+    <div
+      className={`relative w-full overflow-hidden rounded-lg bg-slate-800 ${onPick ? "cursor-crosshair" : ""} ${className}`}
+      style={{ aspectRatio: aspect }}
+      onClick={handleClick}
+    >
+      <img src={mapUrl} alt="Campus map" className="absolute inset-0 h-full w-full select-none" draggable={false} />
+
+      {showLines && target && (
+        <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="pointer-events-none absolute inset-0 h-full w-full">
+          {pins.map((p) => (
+            <line
+              key={p.id}
+              x1={p.x * 100}
+              y1={p.y * 100}
+              x2={target.x * 100}
+              y2={target.y * 100}
+              stroke={p.color}
+              strokeWidth="0.6"
+              strokeDasharray="2 1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
+      )}
+
+      {pins.map((p) => (
+        <div
+          key={p.id}
+          className="pointer-events-none absolute -translate-x-1/2 -translate-y-full"
+          style={{ left: `${p.x * 100}%`, top: `${p.y * 100}%` }}
+        >
+          {p.label && (
+            <div className="mb-0.5 whitespace-nowrap rounded bg-black/70 px-1 text-[10px] font-semibold" style={{ color: p.color }}>
+              {p.label}
+            </div>
+          )}
+          <div className="mx-auto h-3 w-3 rounded-full border-2 border-white shadow" style={{ background: p.color }} />
+        </div>
+      ))}
+
+      {target && (
+        <div
+          className="pointer-events-none absolute -translate-x-1/2 -translate-y-full text-xl leading-none drop-shadow"
+          style={{ left: `${target.x * 100}%`, top: `${target.y * 100}%` }}
+        >
+          📍
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getImage } from "./imageStore.js";
+import MapBoard from "./MapBoard.jsx";
+import RevealCanvas from "./RevealCanvas.jsx";
+import { BetsScreen, Leaderboard, Podium, TitleScreen, WagerSettlement } from "./FlowScreens.jsx";
+import { PHASE } from "./flow.js";
+import { MSG, createSyncChannel } from "./sync.js";
+import { audioLocked, playSound, unlockAudio } from "./audio.js";
+
+/**
+ * Participant (projector) window, opened by the host at `?view=participant`.
+ * Renders whatever the host broadcasts; it has no state of its own beyond the last messages.
+ */
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// Ask the host for a full snapshot when we haven't heard from it for this long (e.g. it reloaded).
+const STALE_MS = 3000;
+
+export default function ParticipantView() {
+  const [round, setRound] = useState(null);
+  const [reveal, setReveal] = useState(null);
+  const [points, setPoints] = useState(null);
+  const [tick, setTick] = useState({ time: 0, countUp: false, isRunning: false, effect: "blur", amount: 0, blur: 0, zoom: 1 });
+  const [teams, setTeams] = useState([]);
+  const [map, setMap] = useState(null);
+  const [wager, setWager] = useState(null);
+  const [buzz, setBuzz] = useState(null);
+  const [choice, setChoice] = useState(null);
+  const [flow, setFlow] = useState({ phase: PHASE.ROUND, index: 0, total: 0, awarded: {} });
+  const [mapUrl, setMapUrl] = useState("");
+  const [imageUrl, setImageUrl] = useState("");
+  const [connected, setConnected] = useState(false);
+  const [soundHere, setSoundHere] = useState(false); // the host plays its sound cues in this window
+  const [locked, setLocked] = useState(false); // ...but the browser still needs a click to allow audio
+  const lastSeenRef = useRef(0);
+
+  useEffect(() => {
+    const channel = createSyncChannel((msg) => {
+      lastSeenRef.current = Date.now();
+      setConnected(true);
+      if (msg.type === MSG.ROUND) setRound(msg.round);
+      else if (msg.type === MSG.REVEAL) {
+        setReveal(msg.reveal);
+        setPoints(msg.points ?? null);
+      }
+      else if (msg.type === MSG.TICK) setTick(msg);
+      else if (msg.type === MSG.SCORES) setTeams(msg.teams || []);
+      else if (msg.type === MSG.MAP) setMap(msg);
+      else if (msg.type === MSG.WAGER) setWager(msg);
+      else if (msg.type === MSG.BUZZ) setBuzz(msg);
+      else if (msg.type === MSG.CHOICE) setChoice(msg);
+      else if (msg.type === MSG.PHASE) setFlow(msg);
+      else if (msg.type === MSG.AUDIO) {
+        const here = msg.output === "participant" && !msg.muted;
+        setSoundHere(here);
+        setLocked(here && audioLocked());
+      } else if (msg.type === MSG.CUE) {
+        playSound(msg.sound, msg.volume);
+        setLocked(audioLocked());
+      }
+    });
+    channel.post(MSG.HELLO);
+    const watchdog = setInterval(() => {
+      const idle = Date.now() - lastSeenRef.current;
+      if (idle > STALE_MS) channel.post(MSG.HELLO);
+      if (idle > STALE_MS * 2) setConnected(false);
+    }, 1000);
+    const onUnload = () => channel.post(MSG.BYE);
+    window.addEventListener("beforeunload", onUnload);
+    return () => {
+      clearInterval(watchdog);
+      window.removeEventListener("beforeunload", onUnload);
+      channel.close();
+    };
+  }, []);
+
+  // Load the image from IndexedDB so it survives the host reloading (its object URLs die with it).
+  useEffect(() => {
+    if (!round?.id) {
+      setImageUrl("");
+      return;
+    }
+    let url = "";
+    let cancelled = false;
+    getImage(round.id)
+      .then((blob) => {
+        if (cancelled) return;
+        if (blob) {
+          url = URL.createObjectURL(blob);
+          setImageUrl(url);
+        } else {
+          setImageUrl(round.imageUrl || "");
+        }
+      })
+      .catch(() => !cancelled && setImageUrl(round.imageUrl || ""));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [round?.id, round?.imageUrl]);
+
+  useEffect(() => {
+    if (!map?.enabled) return;
+    let url = "";
+    getImage(map.imageId)
+      .then((blob) => {
+        if (!blob) return;
+        url = URL.createObjectURL(blob);
+        setMapUrl(url);
+      })
+      .catch(() => {});
+    return () => {
+      if (url) URL.revokeObjectURL(url);
+      setMapUrl("");
+    };
+  }, [map?.enabled, map?.mapName, map?.imageId]);
+
+  useEffect(() => {
+    document.title = "Campus GeoGuessr - Participant View";
+  }, []);
+
+  const mm = Math.floor(tick.time / 60);
+  const ss = tick.time % 60;
+
+  const buzzing = buzz?.enabled && teams.find((t) => t.id === buzz.holder);
+
+  const enableSound = () => unlockAudio().then(() => setLocked(audioLocked()));
+  const soundPrompt = soundHere && locked && (
+    <button
+      onClick={enableSound}
+      className="fixed left-1/2 top-5 z-40 -translate-x-1/2 rounded-lg bg-indigo-600/90 px-4 py-2 text-sm font-semibold shadow-xl"
+    >
+      🔊 Click to enable sound
+    </button>
+  );
+
+  // Between rounds the whole window belongs to the flow screens, and so does a wager round while
+  // it takes bets (the image stays hidden) and once its bets are settled.
+  const inRound = flow.phase === PHASE.ROUND || flow.phase === PHASE.REVEAL;
+  const screen =
+    inRound && wager?.active && wager.open ? (
+      <BetsScreen teams={teams} placed={wager.placed} index={flow.index} total={flow.total} />
+    ) : inRound && wager?.active && wager.settlement ? (
+      <WagerSettlement teams={teams} settlement={wager.settlement} answer={round?.answer} />
+    ) : flow.phase === PHASE.TITLE ? (
+      <TitleScreen teams={teams} total={flow.total} />
+    ) : flow.phase === PHASE.LEADERBOARD ? (
+      <Leaderboard teams={teams} awarded={flow.awarded} index={flow.index} total={flow.total} />
+    ) : flow.phase === PHASE.PODIUM ? (
+      <Podium teams={teams} />
+    ) : null;
+  if (screen) {
+    return (
+      <div className="fixed inset-0 overflow-hidden bg-black text-white">
+        {screen}
+        {soundPrompt}
+        {!connected && (
+          <div className="fixed bottom-4 left-1/2 z-30 -translate-x-1/2 rounded-lg bg-amber-600/90 px-3 py-1 text-xs">
+            Reconnecting to host…
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed inset-0 overflow-hidden bg-black text-white">
+      {imageUrl ? (
+        <RevealCanvas
+          src={imageUrl}
+          alt={round?.title || `Round ${flow.index + 1}`}
+          effect={tick.effect}
+          amount={tick.amount}
+          blur={tick.blur}
+          zoom={tick.zoom}
+          focus={tick.focus}
+          seed={round?.id}
+        />
+      ) : (
+        <div className="flex h-full w-full items-center justify-center text-slate-400">
+          <p className="text-2xl font-semibold">{connected ? "Waiting for the next round…" : "Waiting for the host window…"}</p>
+        </div>
+      )}
+
+      <div className="fixed right-5 top-5 z-10 rounded-xl bg-black/80 px-4 py-2 font-mono text-2xl font-bold tabular-nums">
+        {mm}:{pad2(ss)}
+      </div>
+
+      {round && reveal && (
+        <div className="fixed left-5 top-5 z-10 max-w-md space-y-1">
+          {round.hints.map((h, i) =>
+            reveal.hints?.[i] && h.text ? (
+              <div key={i} className="rounded-md bg-black/80 px-3 py-2 text-sm">
+                Hint {i + 1}: {h.text}
+              </div>
+            ) : null
+          )}
+          {points != null && !reveal.answer && (
+            <div className="inline-block rounded-md bg-amber-600/90 px-3 py-1 text-sm font-semibold">
+              Worth {points} pt{points === 1 ? "" : "s"}
+            </div>
+          )}
+        </div>
+      )}
+
+      {round && reveal?.answer && round.answer && (
+        <div className="pointer-events-none fixed inset-0 z-20 flex items-center justify-center">
+          <div className="rounded-xl border-2 border-emerald-400/80 bg-emerald-600/95 px-6 py-3 text-lg font-bold shadow-2xl backdrop-blur">
+            {round.answer}
+          </div>
+        </div>
+      )}
+
+      {choice?.options.length > 0 && (
+        <div className={`fixed inset-x-8 bottom-20 z-10 grid gap-3 ${choice.options.length > 4 ? "grid-cols-3" : "grid-cols-2"}`}>
+          {choice.options.map((o, i) => {
+            const state = choice.correct == null ? (o.eliminated ? "out" : "") : i === choice.correct ? "right" : "out";
+            return (
+              <div
+                key={o.letter}
+                className={`flex items-center gap-4 rounded-2xl border-2 px-5 py-3 text-3xl font-bold shadow-2xl transition-all duration-500 ${
+                  state === "right"
+                    ? "scale-105 border-emerald-300 bg-emerald-600/95"
+                    : state === "out"
+                      ? "border-white/10 bg-black/60 text-slate-500"
+                      : "border-white/30 bg-indigo-950/90"
+                }`}
+              >
+                <span className="flex h-12 w-12 shrink-0 items-center justify-center rounded-xl bg-white/15 font-black">{o.letter}</span>
+                <span className={o.eliminated ? "line-through" : ""}>{o.text}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {map?.enabled && map.revealed && mapUrl && (
+        <div className="fixed bottom-20 right-5 z-20 w-[40vw] rounded-xl bg-black/80 p-3 shadow-2xl">
+          <MapBoard
+            mapUrl={mapUrl}
+            aspect={map.aspect}
+            pins={map.results.filter((r) => r.guess).map((r) => ({ id: r.teamId, ...r.guess, color: r.color, label: r.name }))}
+            target={map.location}
+            showLines
+          />
+          <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-sm">
+            {map.results.map((r) => (
+              <span key={r.teamId}>
+                <span style={{ color: r.color }}>{r.name}</span>{" "}
+                <span className="text-slate-400">{r.guess ? r.distance : "no guess"}</span>{" "}
+                <span className="font-bold">+{r.points}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {buzzing && (
+        <>
+          <div className="pointer-events-none fixed inset-0 z-20 animate-pulse" style={{ boxShadow: `inset 0 0 0 16px ${buzzing.color}` }} />
+          <div className="fixed inset-x-0 top-8 z-20 flex justify-center">
+            <div className="rounded-2xl bg-black/85 px-8 py-4 text-4xl font-black shadow-2xl" style={{ color: buzzing.color }}>
+              {buzzing.emoji ? `${buzzing.emoji} ` : ""}
+              {buzzing.name}
+            </div>
+          </div>
+        </>
+      )}
+
+      {teams.length > 0 && (
+        <div className="fixed inset-x-0 bottom-0 z-10 flex flex-wrap justify-center gap-3 bg-gradient-to-t from-black/80 to-transparent p-4">
+          {teams.map((t) => (
+            <div
+              key={t.id}
+              className={`flex items-center gap-2 rounded-lg border-b-4 bg-black/60 px-3 py-1 text-sm transition-all ${
+                buzz?.enabled && buzz.holder === t.id ? "scale-125" : buzz?.enabled && buzz.out?.includes(t.id) ? "opacity-40" : ""
+              }`}
+              style={{ borderColor: t.color }}
+            >
+              {t.logo ? <img src={t.logo} alt="" className="h-5 w-5 rounded object-contain" /> : t.emoji && <span>{t.emoji}</span>}
+              <span className="text-slate-300">{t.name}</span> <span className="font-bold tabular-nums">{t.score}</span>
+              {flow.phase === PHASE.REVEAL && flow.awarded?.[t.id] ? (
+                <span className={`font-semibold ${flow.awarded[t.id] > 0 ? "text-emerald-300" : "text-rose-300"}`}>
+                  {flow.awarded[t.id] > 0 ? "+" : "−"}
+                  {Math.abs(flow.awarded[t.id])}
+                </span>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {soundPrompt}
+      {!connected && (
+        <div className="fixed bottom-16 left-1/2 z-30 -translate-x-1/2 rounded-lg bg-amber-600/90 px-3 py-1 text-xs">
+          Reconnecting to host…
+        </div>
+      )}
+    </div>
+  );
+}
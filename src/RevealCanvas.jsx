@@ -0,0 +1,73 @@
+import React, { useEffect, useRef, useState } from "react";
+import { drawReveal, toViewPoint } from "./reveal.js";
+
+/**
+ * Round image drawn through a reveal effect. Fills its parent like an object-cover <img>;
+ * blur and zoom are applied as CSS so they keep their smooth transitions.
+ * `focus` ({ x, y } fractions of the photo, null = center) is the zoom origin and the spotlight center.
+ */
+export default function RevealCanvas({ src, alt = "", effect = "blur", amount = 0, blur = 0, zoom = 1, seed = "", focus = null, className = "" }) {
+  const canvasRef = useRef(null);
+  const cacheRef = useRef({});
+  const [img, setImg] = useState(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    if (!src) {
+      setImg(null);
+      return;
+    }
+    let cancelled = false;
+    const image = new Image();
+    image.onload = () => !cancelled && setImg(image);
+    image.onerror = () => !cancelled && setImg(null);
+    image.src = src;
+    return () => {
+      cancelled = true;
+    };
+  }, [src]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      const dpr = window.devicePixelRatio || 1;
+      setSize({
+        width: Math.max(1, Math.round(entry.contentRect.width * dpr)),
+        height: Math.max(1, Math.round(entry.contentRect.height * dpr)),
+      });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  // the photo is cropped to the view, so photo fractions are converted to view fractions
+  const center = img && size.width ? toViewPoint(img, size.width, size.height, focus) : null;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !size.width) return;
+    canvas.width = size.width;
+    canvas.height = size.height;
+    const ctx = canvas.getContext("2d");
+    if (!img) {
+      ctx.clearRect(0, 0, size.width, size.height);
+      return;
+    }
+    drawReveal(ctx, img, { ...size, effect, amount, seed, center, cache: cacheRef.current });
+  }, [img, size, effect, amount, seed, center?.x, center?.y]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      role="img"
+      aria-label={alt}
+      className={`block h-full w-full ${className}`}
+      style={{
+        filter: blur ? `blur(${blur}px)` : undefined,
+        transform: `scale(${zoom})`,
+        transformOrigin: center ? `${center.x * 100}% ${center.y * 100}%` : undefined,
+        transition: "transform 0.3s ease-out, transform-origin 0.3s ease-out",
+      }}
+    />
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * Sound cues, synthesized with Web Audio so there are no sound files to download.
+ * Browsers keep audio locked until the page has been clicked or tapped: `audioLocked()` tells
+ * whether a click is still needed and `unlockAudio()`, called from a click, releases it.
+ * Cues play in whichever window drives the room speakers (`output`: "host" or "participant").
+ */
+
+export const SOUNDS = [
+  { id: "tick", label: "Countdown tick" },
+  { id: "timeUp", label: "Time's up" },
+  { id: "hint", label: "Hint reveal" },
+  { id: "answer", label: "Answer reveal" },
+  { id: "buzz", label: "Buzz in" },
+];
+
+export const DEFAULT_AUDIO = { volume: 0.7, muted: false, output: "host" };
+
+export const COUNTDOWN_TICKS = 10; // the timer ticks during its last this many seconds
+
+let ctx = null;
+
+function context() {
+  if (!ctx) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    ctx = new AudioContextClass();
+  }
+  return ctx;
+}
+
+export const audioLocked = () => context()?.state === "suspended";
+
+export const unlockAudio = () => context()?.resume().catch(() => {}) ?? Promise.resolve();
+
+// One enveloped oscillator note `at` seconds from now, gliding from `freq` to `to` Hz.
+function tone(c, out, { type = "sine", freq, to = freq, at = 0, length, gain = 1 }) {
+  const t = c.currentTime + at;
+  const osc = c.createOscillator();
+  const env = c.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, t);
+  if (to !== freq) osc.frequency.exponentialRampToValueAtTime(to, t + length);
+  env.gain.setValueAtTime(0.0001, t);
+  env.gain.exponentialRampToValueAtTime(gain, t + 0.01);
+  env.gain.exponentialRampToValueAtTime(0.0001, t + length);
+  osc.connect(env).connect(out);
+  osc.start(t);
+  osc.stop(t + length + 0.05);
+}
+
+const VOICES = {
+  tick: (c, out) => tone(c, out, { type: "square", freq: 1400, length: 0.05, gain: 0.3 }),
+  // two detuned saws make the buzzer rough enough to cut through a noisy room
+  timeUp: (c, out) => {
+    tone(c, out, { type: "sawtooth", freq: 196, length: 1.2, gain: 0.5 });
+    tone(c, out, { type: "sawtooth", freq: 207, length: 1.2, gain: 0.5 });
+  },
+  hint: (c, out) => {
+    tone(c, out, { type: "triangle", freq: 660, length: 0.15, gain: 0.6 });
+    tone(c, out, { type: "triangle", freq: 990, at: 0.1, length: 0.25, gain: 0.6 });
+  },
+  buzz: (c, out) => tone(c, out, { type: "square", freq: 880, to: 440, length: 0.35, gain: 0.5 }),
+  answer: (c, out) =>
+    [523, 659, 784, 1047].forEach((freq, i) => tone(c, out, { type: "triangle", freq, at: i * 0.09, length: i === 3 ? 0.6 : 0.2, gain: 0.6 })),
+};
+
+/**
+ * Plays cue `id` at `volume` (0..1). While audio is locked the cue is dropped rather than queued,
+ * so a late unlock doesn't fire a burst of stale sounds.
+ */
+export function playSound(id, volume = 1) {
+  const c = context();
+  const voice = VOICES[id];
+  if (!c || !voice || volume <= 0) return;
+  const play = () => {
+    const out = c.createGain();
+    out.gain.value = Math.min(1, volume);
+    out.connect(c.destination);
+    voice(c, out);
+  };
+  if (c.state === "running") return play();
+  const asked = performance.now();
+  c.resume()
+    .then(() => performance.now() - asked < 250 && play())
+    .catch(() => {});
+}
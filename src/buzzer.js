@@ -0,0 +1,26 @@
+/**
+ * Buzzer mode.
+ * Teams buzz in with their key (the buzz actions in shortcuts.js) or from a phone. The first buzz
+ * pauses the clock and locks everyone else out until the host marks the answer: right ends the
+ * round, wrong lets the other teams buzz again while the team that missed stays out.
+ * `round.buzzes` logs every buzz in order as `{ id, teamId, at, elapsed, source, locked, result }`:
+ * `at` is a Date.now() timestamp and `elapsed` the round clock, `source` is "key" or "device",
+ * `locked` buzzes came in while buzzing was closed to that team, and `result` ("right" | "wrong")
+ * stays null until the host marks it.
+ */
+
+// The buzz that holds the floor, waiting for the host's verdict; null when nobody does.
+export const activeBuzz = (buzzes = []) => buzzes.find((b) => !b.locked && b.result == null) || null;
+
+// Teams that buzzed and got it wrong this round.
+export const missedTeams = (buzzes = []) => buzzes.filter((b) => b.result === "wrong").map((b) => b.teamId);
+
+const answeredBy = (buzzes = []) => buzzes.find((b) => b.result === "right")?.teamId ?? null;
+
+// Whether a buzz from `teamId` would take the floor now.
+const canBuzz = (buzzes = [], teamId) => !activeBuzz(buzzes) && !answeredBy(buzzes) && !missedTeams(buzzes).includes(teamId);
+
+// A log entry for a buzz arriving after `buzzes`; `fields` are `{ teamId, at, elapsed, source }`.
+export const makeBuzz = (buzzes, fields) => ({ id: crypto.randomUUID(), ...fields, locked: !canBuzz(buzzes, fields.teamId), result: null });
+
+export const markBuzz = (buzzes, id, result) => buzzes.map((b) => (b.id === id ? { ...b, result } : b));
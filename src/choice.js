@@ -0,0 +1,68 @@
+import { normalizeAnswer } from "./judge.js";
+import { seededShuffle } from "./random.js";
+
+/**
+ * Multiple-choice rounds.
+ * The author writes 2–6 `options` and marks `correctOption` (an index); `optionReveal` is "all" to
+ * show every option when the round starts or "progressive" to add them one at a time over the first
+ * half of the clock. During the round the host can knock out wrong options as hints, 50/50 style;
+ * `eliminated` holds their indices. Teams answer with an option's letter or its text.
+ */
+
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 6;
+
+export const OPTION_REVEALS = [
+  { id: "all", label: "All at once" },
+  { id: "progressive", label: "One by one as the clock runs" },
+];
+
+export const isChoice = (round) => round?.type === "choice";
+
+export const optionLetter = (i) => String.fromCharCode(65 + i);
+
+// The correct option's text, which stands in as the round's answer.
+export const correctText = (round) => round.options?.[round.correctOption] ?? "";
+
+// The answer to show for any round. A choice round keeps its own `answer` untouched, so switching
+// back to standard brings it back.
+export const roundAnswer = (round) => (isChoice(round) ? correctText(round) : round?.answer ?? "");
+
+// How many options (from the first) players see at reveal progress `progress` (0..1).
+export function visibleOptions(round, progress) {
+  const n = round.options?.length ?? 0;
+  if (round.optionReveal !== "progressive") return n;
+  return Math.min(n, Math.floor(progress * 2 * n) + 1);
+}
+
+/**
+ * Index of the option a guess picks, or -1: a lone letter ("b", "B)") or the option's text.
+ * Letters are checked before normalizing, which would drop "a" as an article.
+ */
+export function pickedOption(round, text) {
+  const options = round.options || [];
+  const letter = String(text ?? "").trim().match(/^([a-z])[.)]?$/i);
+  if (letter) {
+    const i = letter[1].toUpperCase().charCodeAt(0) - 65;
+    return i < options.length ? i : -1;
+  }
+  const guess = normalizeAnswer(text);
+  return guess ? options.findIndex((o) => normalizeAnswer(o) === guess) : -1;
+}
+
+// Judgement of a guess in the shape judgeGuess returns; only the exact pick counts, never a near spelling.
+export function judgeChoice(round, text) {
+  const i = pickedOption(round, text);
+  return { correct: i >= 0 && i === round.correctOption, confidence: i >= 0 ? 1 : 0, matched: i >= 0 ? round.options[i] : "" };
+}
+
+/**
+ * The eliminated list after knocking out `count` more wrong options, picked in an order seeded by
+ * the round so every window agrees. One wrong option always stays, so 50/50 is `count = Infinity`.
+ */
+export function eliminateOptions(round, count) {
+  const eliminated = round.eliminated || [];
+  const standing = (round.options || []).map((_, i) => i).filter((i) => i !== round.correctOption && !eliminated.includes(i));
+  const out = seededShuffle(standing, `${round.id}:${eliminated.length}`).slice(0, Math.max(0, Math.min(count, standing.length - 1)));
+  return [...eliminated, ...out].sort((a, b) => a - b);
+}
@@ -0,0 +1,51 @@
+/**
+ * Round clock.
+ * The clock is a plain value, `{ running, startedAt, banked, extra }`: `banked` is the seconds
+ * counted before the current run began at `startedAt` (a Date.now() timestamp, null while paused),
+ * and `extra` the seconds added (or, negative, taken away) during the round. Every function takes
+ * `now` explicitly and returns a new clock, so elapsed time never depends on when a render happened
+ * and changing the round duration mid-round only moves the limit.
+ */
+
+export const CLOCK_MODES = [
+  { id: "countdown", label: "Count down" },
+  { id: "countup", label: "Count up (no limit)" },
+  { id: "firstCorrect", label: "Count down, first correct answer stops it" },
+];
+
+export const TIME_STEP = 10; // seconds added or taken by the +/− buttons
+
+export const makeClock = () => ({ running: false, startedAt: null, banked: 0, extra: 0 });
+
+// Seconds counted at `now`, without any limit applied.
+export const clockElapsed = (clock, now) => clock.banked + (clock.running ? Math.max(0, now - clock.startedAt) / 1000 : 0);
+
+export const startClock = (clock, now) => (clock.running ? clock : { ...clock, running: true, startedAt: now });
+
+export const pauseClock = (clock, now) =>
+  clock.running ? { ...clock, running: false, startedAt: null, banked: clockElapsed(clock, now) } : clock;
+
+// Back to the full time with no added time; a running clock keeps running from zero.
+export const resetClock = (clock, now) => (clock.running ? startClock(makeClock(), now) : makeClock());
+
+// Adds `seconds` to the time left (negative takes time away). Count-up clocks have no limit to move.
+export const adjustClock = (clock, seconds) => ({ ...clock, extra: clock.extra + seconds });
+
+/**
+ * Where the clock stands at `now` for a round of `duration` seconds in `mode`:
+ * `{ elapsed, limit, remaining, expired }`. `limit` is null in count-up mode, where nothing expires
+ * and `remaining` is null. Elapsed time never passes the limit.
+ */
+export function clockStatus(clock, { mode = "countdown", duration }, now) {
+  const raw = clockElapsed(clock, now);
+  if (mode === "countup") return { elapsed: raw, limit: null, remaining: null, expired: false };
+  const limit = Math.max(0, duration + clock.extra);
+  const elapsed = Math.min(raw, limit);
+  return { elapsed, limit, remaining: limit - elapsed, expired: raw >= limit };
+}
+
+// Pauses a clock that ran out at its limit, so resuming later doesn't count the overshoot.
+export function expireClock(clock, limit, now) {
+  const paused = pauseClock(clock, now);
+  return { ...paused, banked: Math.min(paused.banked, limit) };
+}
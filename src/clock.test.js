@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { adjustClock, clockElapsed, clockStatus, expireClock, makeClock, pauseClock, resetClock, startClock } from "./clock.js";
+
+// Timestamps are Date.now()-style milliseconds; T(s) is `s` seconds after an arbitrary start.
+const T = (s) => 1_000_000 + s * 1000;
+
+test("a new clock is paused at zero", () => {
+  const clock = makeClock();
+  assert.equal(clock.running, false);
+  assert.equal(clockElapsed(clock, T(100)), 0);
+  assert.deepEqual(clockStatus(clock, { duration: 60 }, T(100)), { elapsed: 0, limit: 60, remaining: 60, expired: false });
+});
+
+test("pausing banks the time run so far and resuming carries on from it", () => {
+  let clock = startClock(makeClock(), T(0));
+  assert.equal(clockElapsed(clock, T(5)), 5);
+
+  clock = pauseClock(clock, T(5));
+  assert.equal(clock.running, false);
+  assert.equal(clock.banked, 5);
+  assert.equal(clockElapsed(clock, T(30)), 5, "paused time doesn't count");
+
+  clock = startClock(clock, T(30));
+  assert.equal(clockElapsed(clock, T(32)), 7);
+
+  clock = pauseClock(clock, T(32));
+  clock = startClock(clock, T(40));
+  assert.equal(clockElapsed(clock, T(41)), 8, "banked time adds up over several pauses");
+});
+
+test("starting a running clock or pausing a paused one changes nothing", () => {
+  const running = startClock(makeClock(), T(0));
+  assert.equal(startClock(running, T(10)), running);
+  const paused = pauseClock(running, T(4));
+  assert.equal(pauseClock(paused, T(10)), paused);
+});
+
+test("reset while running restarts from zero and keeps running", () => {
+  let clock = adjustClock(startClock(makeClock(), T(0)), 10);
+  clock = resetClock(clock, T(20));
+  assert.equal(clock.running, true);
+  assert.equal(clock.extra, 0, "added time is dropped");
+  assert.equal(clockElapsed(clock, T(20)), 0);
+  assert.equal(clockElapsed(clock, T(23)), 3);
+});
+
+test("reset while paused returns to a fresh, paused clock", () => {
+  let clock = pauseClock(startClock(makeClock(), T(0)), T(12));
+  clock = resetClock(adjustClock(clock, -10), T(50));
+  assert.deepEqual(clock, makeClock());
+  assert.equal(clockElapsed(clock, T(60)), 0);
+});
+
+test("changing the duration mid-round only moves the limit", () => {
+  const clock = startClock(makeClock(), T(0));
+  assert.deepEqual(clockStatus(clock, { duration: 60 }, T(30)), { elapsed: 30, limit: 60, remaining: 30, expired: false });
+  assert.deepEqual(clockStatus(clock, { duration: 90 }, T(30)), { elapsed: 30, limit: 90, remaining: 60, expired: false });
+  // shortening below the time already run expires the round without reporting more than the limit
+  assert.deepEqual(clockStatus(clock, { duration: 20 }, T(30)), { elapsed: 20, limit: 20, remaining: 0, expired: true });
+});
+
+test("added and removed time move the limit, which never goes below zero", () => {
+  const clock = startClock(makeClock(), T(0));
+  assert.equal(clockStatus(adjustClock(clock, 10), { duration: 60 }, T(30)).remaining, 40);
+  assert.equal(clockStatus(adjustClock(clock, -10), { duration: 60 }, T(30)).remaining, 20);
+  const status = clockStatus(adjustClock(clock, -100), { duration: 60 }, T(1));
+  assert.equal(status.limit, 0);
+  assert.equal(status.expired, true);
+});
+
+test("a count-up clock has no limit and never expires", () => {
+  const clock = startClock(makeClock(), T(0));
+  assert.deepEqual(clockStatus(clock, { mode: "countup", duration: 60 }, T(500)), { elapsed: 500, limit: null, remaining: null, expired: false });
+});
+
+test("first-correct mode counts down and expires at its limit", () => {
+  const clock = startClock(makeClock(), T(0));
+  const mode = "firstCorrect";
+  assert.equal(clockStatus(clock, { mode, duration: 30 }, T(29)).expired, false);
+  const status = clockStatus(clock, { mode, duration: 30 }, T(31));
+  assert.equal(status.expired, true);
+  assert.equal(status.elapsed, 30);
+
+  // the frame that notices expiry comes late; the overshoot isn't banked
+  const expired = expireClock(clock, status.limit, T(31));
+  assert.equal(expired.running, false);
+  assert.equal(expired.banked, 30);
+  assert.equal(clockStatus(expired, { mode, duration: 30 }, T(100)).remaining, 0);
+});
+
+test("first-correct mode: a correct answer pauses the clock with time left", () => {
+  const stopped = pauseClock(startClock(makeClock(), T(0)), T(12));
+  const status = clockStatus(stopped, { mode: "firstCorrect", duration: 30 }, T(60));
+  assert.deepEqual(status, { elapsed: 12, limit: 30, remaining: 18, expired: false });
+});
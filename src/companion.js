@@ -0,0 +1,44 @@
+/**
+ * Host-side client for the companion server (server/companion.js), which lets teams send guesses
+ * from their phones. The host pushes round state with plain POSTs and gets submissions back over
+ * server-sent events.
+ */
+
+export const DEFAULT_COMPANION_URL = "http://localhost:8787";
+
+const trimUrl = (url) => url.replace(/\/+$/, "");
+
+/**
+ * Subscribes to the companion server. Handlers: onSnapshot({ code, urls, submissions, bets }),
+ * onSubmission(submission), onBet({ teamId, roundId, amount, at }), onBuzz({ teamId, roundId, at }),
+ * onStatus("connecting" | "connected" | "error").
+ * Returns a function that closes the connection.
+ */
+export function connectCompanion(baseUrl, { onSnapshot, onSubmission, onBet, onBuzz, onStatus }) {
+  const events = new EventSource(`${trimUrl(baseUrl)}/api/host/events`);
+  onStatus("connecting");
+  events.onopen = () => onStatus("connected");
+  // EventSource keeps retrying on its own; just surface the state
+  events.onerror = () => onStatus(events.readyState === EventSource.CLOSED ? "error" : "connecting");
+  events.addEventListener("snapshot", (e) => onSnapshot(JSON.parse(e.data)));
+  events.addEventListener("submission", (e) => onSubmission(JSON.parse(e.data)));
+  events.addEventListener("bet", (e) => onBet(JSON.parse(e.data)));
+  events.addEventListener("buzz", (e) => onBuzz(JSON.parse(e.data)));
+  return () => events.close();
+}
+
+async function post(baseUrl, path, body = {}) {
+  const res = await fetch(`${trimUrl(baseUrl)}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`);
+}
+
+// state: { round: { id, index, total, hints, wager, buzzer, options }, teams: [{ id, name }], clock: { elapsed, duration, isRunning, at } }
+// `round.wager` is null outside wager rounds, else { open, caps: { teamId: highest bet allowed } };
+// `round.buzzer` is null outside buzzer mode, else { open, holder: teamId | null, out: [teamId] };
+// `round.options` lists the multiple-choice options shown so far, [{ letter, text, eliminated }]
+export const pushCompanionState = (baseUrl, state) => post(baseUrl, "/api/host/state", state);
+export const clearCompanionSubmissions = (baseUrl) => post(baseUrl, "/api/host/clear");
@@ -0,0 +1,106 @@
+/**
+ * Minimal EXIF reader for JPEG photos: capture time and GPS position, nothing else.
+ * Returns `{ takenAt, gps }` where `takenAt` is a local "YYYY-MM-DDTHH:MM:SS" string (EXIF has no
+ * time zone) and `gps` is `{ lat, lon }` in decimal degrees; either may be null. Returns null for
+ * files without EXIF (PNG, screenshots, photos already stripped).
+ */
+
+const SCAN_BYTES = 256 * 1024; // EXIF sits in APP1 right after the SOI marker
+
+const TAG = {
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME: 0x0132,
+  DATE_TIME_ORIGINAL: 0x9003,
+  GPS_LAT_REF: 0x0001,
+  GPS_LAT: 0x0002,
+  GPS_LON_REF: 0x0003,
+  GPS_LON: 0x0004,
+};
+
+// bytes per component for the TIFF field types we read
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+export async function readExif(blob) {
+  const view = new DataView(await blob.slice(0, SCAN_BYTES).arrayBuffer());
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return null;
+  let off = 2;
+  while (off + 4 <= view.byteLength) {
+    const marker = view.getUint16(off);
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // start of scan: no metadata after this
+    const size = view.getUint16(off + 2);
+    if (marker === 0xffe1 && off + 10 <= view.byteLength && view.getUint32(off + 4) === 0x45786966) {
+      return parseTiff(view, off + 10); // skip "Exif\0\0"
+    }
+    off += 2 + size;
+  }
+  return null;
+}
+
+function parseTiff(view, start) {
+  const little = view.getUint16(start) === 0x4949;
+  const inBounds = (o, n) => start + o + n <= view.byteLength;
+  const u16 = (o) => view.getUint16(start + o, little);
+  const u32 = (o) => view.getUint32(start + o, little);
+  if (!inBounds(0, 8) || u16(2) !== 42) return null;
+
+  const readValue = (type, count, valueOff) => {
+    const size = TYPE_SIZE[type];
+    if (!size) return undefined;
+    const dataOff = size * count > 4 ? u32(valueOff) : valueOff;
+    if (!inBounds(dataOff, size * count)) return undefined;
+    if (type === 2) {
+      let s = "";
+      for (let i = 0; i < count; i++) {
+        const c = view.getUint8(start + dataOff + i);
+        if (!c) break;
+        s += String.fromCharCode(c);
+      }
+      return s;
+    }
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const o = dataOff + i * size;
+      if (type === 3) values.push(u16(o));
+      else if (type === 4) values.push(u32(o));
+      else if (type === 9) values.push(view.getInt32(start + o, little));
+      else if (type === 5) values.push(u32(o) / (u32(o + 4) || 1));
+      else if (type === 10) values.push(view.getInt32(start + o, little) / (view.getInt32(start + o + 4, little) || 1));
+      else values.push(view.getUint8(start + o));
+    }
+    return count === 1 ? values[0] : values;
+  };
+
+  const readIfd = (ifdOff) => {
+    const tags = {};
+    if (!ifdOff || !inBounds(ifdOff, 2)) return tags;
+    const n = u16(ifdOff);
+    for (let i = 0; i < n; i++) {
+      const entry = ifdOff + 2 + i * 12;
+      if (!inBounds(entry, 12)) break;
+      tags[u16(entry)] = readValue(u16(entry + 2), u32(entry + 4), entry + 8);
+    }
+    return tags;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exif = readIfd(ifd0[TAG.EXIF_IFD]);
+  const gps = readIfd(ifd0[TAG.GPS_IFD]);
+  return { takenAt: parseDate(exif[TAG.DATE_TIME_ORIGINAL] || ifd0[TAG.DATE_TIME]), gps: parseGps(gps) };
+}
+
+// "2024:05:17 14:03:22" -> "2024-05-17T14:03:22"
+function parseDate(s) {
+  const m = typeof s === "string" && s.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+  if (!m || m[1] === "0000") return null;
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}`;
+}
+
+function parseGps(tags) {
+  const dms = (v) => (Array.isArray(v) && v.length === 3 ? v[0] + v[1] / 60 + v[2] / 3600 : NaN);
+  const lat = dms(tags[TAG.GPS_LAT]) * (tags[TAG.GPS_LAT_REF] === "S" ? -1 : 1);
+  const lon = dms(tags[TAG.GPS_LON]) * (tags[TAG.GPS_LON_REF] === "W" ? -1 : 1);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  if (lat === 0 && lon === 0) return null; // "no fix" on some phones
+  return { lat: +lat.toFixed(6), lon: +lon.toFixed(6) };
+}
@@ -0,0 +1,53 @@
+/**
+ * Game flow: title → (round → reveal → leaderboard) per round → podium.
+ * The last round's reveal goes straight to the podium; advancing from the podium returns to the title.
+ */
+
+export const PHASE = {
+  TITLE: "title",
+  ROUND: "round",
+  REVEAL: "reveal",
+  LEADERBOARD: "leaderboard",
+  PODIUM: "podium",
+};
+
+export const PHASE_LABELS = {
+  [PHASE.TITLE]: "Title",
+  [PHASE.ROUND]: "Round",
+  [PHASE.REVEAL]: "Reveal",
+  [PHASE.LEADERBOARD]: "Leaderboard",
+  [PHASE.PODIUM]: "Podium",
+};
+
+/**
+ * The phase (and round index) that "advance" moves to from `phase` at round `index` of `total`,
+ * or null when there is nowhere to go (no rounds yet).
+ */
+export function nextStep(phase, index, total) {
+  if (total === 0) return null;
+  switch (phase) {
+    case PHASE.TITLE:
+      return { phase: PHASE.ROUND, index: 0 };
+    case PHASE.ROUND:
+      return { phase: PHASE.REVEAL, index };
+    case PHASE.REVEAL:
+      return index + 1 < total ? { phase: PHASE.LEADERBOARD, index } : { phase: PHASE.PODIUM, index };
+    case PHASE.LEADERBOARD:
+      return { phase: PHASE.ROUND, index: Math.min(index + 1, total - 1) };
+    case PHASE.PODIUM:
+      return { phase: PHASE.TITLE, index: 0 };
+    default:
+      return null;
+  }
+}
+
+// Button text for the advance action, describing where it leads.
+export function advanceLabel(phase, index, total) {
+  const step = nextStep(phase, index, total);
+  if (!step) return "Add rounds first";
+  if (step.phase === PHASE.ROUND) return phase === PHASE.TITLE ? "Start game" : `Start round ${step.index + 1}`;
+  if (step.phase === PHASE.REVEAL) return "Reveal answer";
+  if (step.phase === PHASE.LEADERBOARD) return "Show leaderboard";
+  if (step.phase === PHASE.PODIUM) return "Final results";
+  return "Back to title";
+}
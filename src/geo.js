@@ -0,0 +1,69 @@
+/**
+ * Map-pin mode geometry and scoring.
+ * Pins are stored as `{ x, y }` fractions (0..1) of the campus map image, so they stay valid at any
+ * display size. Distances are measured in map widths (the y axis is scaled by the map's aspect ratio).
+ */
+
+export const MAP_IMAGE_ID = "campus-map"; // map image key in the IndexedDB image store, per pack since the library (see storage.js)
+
+export const DEFAULT_MAP_SCORING = {
+  maxPoints: 5,
+  falloff: "linear", // "linear" | "exponential"
+  fullRadius: 0.02, // within this distance (map widths) a guess earns maxPoints
+  zeroRadius: 0.25, // linear: at or beyond this distance a guess earns nothing; exponential: distance that halves the points
+  mapWidthMeters: 0, // optional real-world width of the map, only used to display distances in meters
+};
+
+export const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+export function mapDistance(a, b, aspect = 1) {
+  if (!a || !b) return null;
+  const dx = a.x - b.x;
+  const dy = (a.y - b.y) / (aspect || 1);
+  return Math.hypot(dx, dy);
+}
+
+export function pointsForDistance(distance, scoring = DEFAULT_MAP_SCORING) {
+  if (distance == null) return 0;
+  const { maxPoints, falloff, fullRadius, zeroRadius } = { ...DEFAULT_MAP_SCORING, ...scoring };
+  if (distance <= fullRadius) return maxPoints;
+  const d = distance - fullRadius;
+  const span = Math.max(1e-6, zeroRadius - (falloff === "exponential" ? 0 : fullRadius));
+  const factor = falloff === "exponential" ? Math.pow(0.5, d / span) : Math.max(0, 1 - d / span);
+  return Math.round(maxPoints * factor);
+}
+
+export function formatDistance(distance, scoring = DEFAULT_MAP_SCORING) {
+  if (distance == null) return "–";
+  const meters = scoring.mapWidthMeters > 0 ? distance * scoring.mapWidthMeters : 0;
+  if (meters) return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
+  return `${(distance * 100).toFixed(1)}% of map`;
+}
+
+// `{ north, south, west, east }` edge coordinates of a north-up map, in decimal degrees.
+export const validBounds = (b) =>
+  !!b && [b.north, b.south, b.west, b.east].every(Number.isFinite) && b.north > b.south && b.east > b.west;
+
+/**
+ * Places a photo's GPS position `{ lat, lon }` on the map, given the map's edge coordinates.
+ * Linear in latitude and longitude, which is close enough at campus scale. Returns `{ x, y }`
+ * fractions, or null without usable bounds or when the position is off the map.
+ */
+export function gpsToMap(gps, bounds) {
+  if (!gps || !validBounds(bounds)) return null;
+  const x = (gps.lon - bounds.west) / (bounds.east - bounds.west);
+  const y = (bounds.north - gps.lat) / (bounds.north - bounds.south);
+  return x >= 0 && x <= 1 && y >= 0 && y <= 1 ? { x, y } : null;
+}
+
+/**
+ * Scores every team's guess against the round's true location.
+ * Returns `[{ teamId, guess, distance, points }]` in team order; teams without a guess get 0 points.
+ */
+export function scoreGuesses(teams, round, aspect, scoring) {
+  return teams.map((t) => {
+    const guess = round?.guesses?.[t.id] || null;
+    const distance = guess && round?.location ? mapDistance(guess, round.location, aspect) : null;
+    return { teamId: t.id, guess, distance, points: pointsForDistance(distance, scoring) };
+  });
+}
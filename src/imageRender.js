@@ -0,0 +1,36 @@
+/**
+ * Photo transform shared by the image worker and the main-thread fallback (see imageTools.js).
+ * `rotate` turns the photo clockwise by a multiple of 90°; `crop` is `{ x, y, width, height }` in
+ * fractions of the rotated photo; `maxSize` caps the longest edge of the result in pixels (0 = no cap).
+ */
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+// Size of the result for a `width` x `height` source.
+export function outputSize(width, height, { crop = null, rotate = 0, maxSize = 0 } = {}) {
+  const turned = rotate % 180 !== 0;
+  const w = (turned ? height : width) * (crop?.width ?? 1);
+  const h = (turned ? width : height) * (crop?.height ?? 1);
+  const scale = maxSize > 0 ? Math.min(1, maxSize / Math.max(w, h)) : 1;
+  return { width: Math.max(1, Math.round(w * scale)), height: Math.max(1, Math.round(h * scale)), scale };
+}
+
+// Draws `bitmap` transformed onto a canvas from `makeCanvas(width, height)` and returns the canvas.
+export function renderImage(bitmap, makeCanvas, options = {}) {
+  const { crop = null, rotate = 0 } = options;
+  const { width, height, scale } = outputSize(bitmap.width, bitmap.height, options);
+  const turned = rotate % 180 !== 0;
+  const rw = turned ? bitmap.height : bitmap.width;
+  const rh = turned ? bitmap.width : bitmap.height;
+
+  const canvas = makeCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  ctx.scale(scale, scale);
+  ctx.translate(-(crop?.x ?? 0) * rw, -(crop?.y ?? 0) * rh);
+  // rotate about the center of the rotated frame
+  ctx.translate(rw / 2, rh / 2);
+  ctx.rotate((rotate * Math.PI) / 180);
+  ctx.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+  return canvas;
+}
@@ -0,0 +1,55 @@
+/**
+ * IndexedDB image store.
+ * Object URLs die with the page, so the actual image bytes are kept here keyed by round id
+ * and turned back into object URLs on startup. Each round's list thumbnail is stored next to it
+ * under `thumbId(roundId)`.
+ */
+
+const DB_NAME = "pg_images_v1";
+const STORE = "images";
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Runs `fn(store)` inside a transaction and resolves with the request result once it commits.
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const thumbId = (id) => `${id}#thumb`;
+
+export const putImage = (id, blob) => withStore("readwrite", (s) => s.put(blob, id));
+export const getImage = (id) => withStore("readonly", (s) => s.get(id));
+export const deleteImage = (id) => withStore("readwrite", (s) => s.delete(id));
+
+// Builds a fresh object URL for every id that has stored bytes; missing ids are left out.
+export async function loadImageUrls(ids) {
+  const urls = {};
+  for (const id of ids) {
+    try {
+      const blob = await getImage(id);
+      if (blob) urls[id] = URL.createObjectURL(blob);
+    } catch {}
+  }
+  return urls;
+}
@@ -0,0 +1,101 @@
+import { readExif } from "./exif.js";
+import { renderImage } from "./imageRender.js";
+
+/**
+ * In-browser photo processing: resize, crop, rotate and re-encode with canvas.
+ * Work runs in a worker (imageWorker.js) where OffscreenCanvas is available, on the main thread
+ * otherwise. Drawing a photo onto a canvas keeps only the pixels, so any re-encode also drops its
+ * EXIF (GPS, camera, capture time).
+ */
+
+export const THUMB_SIZE = 320; // longest edge of round list thumbnails, px
+
+// Upload defaults; both are per-game settings in the host app.
+export const DEFAULT_PHOTO_SETTINGS = { maxSize: 2048, quality: 0.85 };
+
+// PNG and WebP keep their format (they may be transparent); everything else becomes JPEG.
+const outputType = (blob) => (["image/png", "image/webp"].includes(blob.type) ? blob.type : "image/jpeg");
+
+let worker = null; // null: not started yet, false: unavailable
+let nextJob = 0;
+const jobs = new Map();
+
+function imageWorker() {
+  if (worker === null) {
+    try {
+      if (typeof OffscreenCanvas === "undefined") throw new Error("no OffscreenCanvas");
+      worker = new Worker(new URL("./imageWorker.js", import.meta.url), { type: "module" });
+      worker.onmessage = ({ data }) => {
+        const job = jobs.get(data.id);
+        jobs.delete(data.id);
+        if (data.error) job?.reject(new Error(data.error));
+        else job?.resolve(data.blob);
+      };
+      worker.onerror = () => {
+        jobs.forEach((job) => job.reject(new Error("Image worker failed")));
+        jobs.clear();
+        worker.terminate();
+        worker = false;
+      };
+    } catch {
+      worker = false;
+    }
+  }
+  return worker || null;
+}
+
+function processOnMainThread(blob, options) {
+  return createImageBitmap(blob).then((bitmap) => {
+    const canvas = renderImage(bitmap, (w, h) => Object.assign(document.createElement("canvas"), { width: w, height: h }), options);
+    bitmap.close();
+    return new Promise((resolve, reject) =>
+      canvas.toBlob((out) => (out ? resolve(out) : reject(new Error("Could not re-encode the image"))), options.type, options.quality)
+    );
+  });
+}
+
+/**
+ * Re-encodes `blob`, optionally rotated, cropped and scaled down (see imageRender.js for the options).
+ * `type` defaults to the blob's own format where that can hold a photo, `quality` to 0.92.
+ */
+export async function processImage(blob, options = {}) {
+  const opts = { type: outputType(blob), quality: 0.92, ...options };
+  const w = imageWorker();
+  if (w) {
+    try {
+      return await new Promise((resolve, reject) => {
+        const id = ++nextJob;
+        jobs.set(id, { resolve, reject });
+        w.postMessage({ id, blob, options: opts });
+      });
+    } catch {
+      // e.g. a browser whose OffscreenCanvas can't encode; the main thread still can
+    }
+  }
+  return processOnMainThread(blob, opts);
+}
+
+export const stripMetadata = (blob) => processImage(blob);
+
+export const makeThumbnail = (blob) => processImage(blob, { type: "image/jpeg", quality: 0.7, maxSize: THUMB_SIZE });
+
+/**
+ * Turns an uploaded photo into what gets stored: scaled to `maxSize` and re-encoded at `quality`,
+ * which also strips its metadata. With `strip` off and no size cap the file is kept as it is.
+ * Resolves to `{ blob, thumb, takenAt, gps }`, with capture time and GPS read from the original.
+ * A photo the browser can't re-encode is rejected when `strip` is on, since its metadata would be
+ * kept; otherwise it is stored as it is, without a thumbnail.
+ */
+export async function preparePhoto(file, { strip = true, maxSize = 0, quality = 0.92 } = {}) {
+  const exif = await readExif(file).catch(() => null);
+  let blob = file;
+  if (strip || maxSize > 0) {
+    try {
+      blob = await processImage(file, { maxSize, quality });
+    } catch {
+      if (strip) throw new Error(`Could not remove the metadata from ${file.name}`);
+    }
+  }
+  const thumb = await makeThumbnail(blob).catch(() => null);
+  return { blob, thumb, takenAt: exif?.takenAt ?? null, gps: exif?.gps ?? null };
+}
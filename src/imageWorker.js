@@ -0,0 +1,17 @@
+import { renderImage } from "./imageRender.js";
+
+/**
+ * Image worker: decodes, transforms and encodes photos with OffscreenCanvas so large uploads don't
+ * freeze the host UI. Messages are `{ id, blob, options }`; replies are `{ id, blob }` or `{ id, error }`.
+ */
+
+self.onmessage = async ({ data: { id, blob, options } }) => {
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = renderImage(bitmap, (w, h) => new OffscreenCanvas(w, h), options);
+    bitmap.close();
+    self.postMessage({ id, blob: await canvas.convertToBlob({ type: options.type, quality: options.quality }) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || "Could not process the image" });
+  }
+};
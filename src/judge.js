@@ -0,0 +1,56 @@
+/**
+ * Automatic answer judging.
+ * Guesses and accepted answers are normalized (case, accents, punctuation, articles) and compared
+ * by edit distance, so "the main libary" still matches "Main Library". `tolerance` is the share
+ * of characters that may be wrong: 0 demands an exact (normalized) match.
+ */
+
+export const DEFAULT_TOLERANCE = 0.2;
+
+export function normalizeAnswer(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // accents
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\b(the|a|an)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Everything a round accepts: the displayed answer plus its aliases.
+export const acceptedAnswers = (round) => [round?.answer, ...(round?.aliases || [])].filter((a) => a && a.trim());
+
+/**
+ * Judges one guess against a list of accepted answers.
+ * Returns `{ correct, confidence, matched }`: confidence is 0..1 for the best-matching answer.
+ */
+export function judgeGuess(guess, accepted, tolerance = DEFAULT_TOLERANCE) {
+  const g = normalizeAnswer(guess);
+  let best = { confidence: 0, matched: null };
+  if (!g) return { ...best, correct: false };
+
+  for (const answer of accepted) {
+    const a = normalizeAnswer(answer);
+    if (!a) continue;
+    let confidence = 1 - editDistance(g, a) / Math.max(g.length, a.length);
+    // a guess that contains the whole answer ("main library entrance") is nearly as good as exact
+    if (confidence < 0.9 && ` ${g} `.includes(` ${a} `)) confidence = 0.9;
+    if (confidence > best.confidence) best = { confidence, matched: answer };
+  }
+  return { ...best, correct: best.confidence >= 1 - tolerance };
+}
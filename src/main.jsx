@@ -1,9 +1,11 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import App from './App.jsx'
+import LibraryRoot from './Library.jsx'
+import ParticipantView from './ParticipantView.jsx'
+import { isParticipantView } from './sync.js'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {isParticipantView() ? <ParticipantView /> : <LibraryRoot />}
   </React.StrictMode>,
 )
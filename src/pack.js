@@ -0,0 +1,140 @@
+/**
+ * Game pack files.
+ * A pack is a zip holding `manifest.json` (answers, hints, teams, settings) and an `images/`
+ * folder with the round photos and campus map, so one file carries a whole game to another machine.
+ * Legacy version 1 packs were plain JSON with session-only blob URLs; those still import, minus images.
+ */
+import { readExif } from "./exif.js";
+import { getImage } from "./imageStore.js";
+import { stripMetadata } from "./imageTools.js";
+import { PACK_VERSION, migratePack, validatePack } from "./packSchema.js";
+import { createZip, isZip, readZip } from "./zip.js";
+
+export const MANIFEST = "manifest.json";
+
+const MIME_BY_EXT = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", avif: "image/avif", bmp: "image/bmp", svg: "image/svg+xml" };
+const EXT_BY_MIME = { "image/jpeg": "jpg", "image/png": "png", "image/gif": "gif", "image/webp": "webp", "image/avif": "avif", "image/bmp": "bmp", "image/svg+xml": "svg" };
+
+const extOf = (name = "") => (name.match(/\.([a-z0-9]+)$/i)?.[1] || "").toLowerCase();
+
+async function storedImageBlob(id, fallbackUrl) {
+  try {
+    const stored = await getImage(id);
+    if (stored) return stored;
+  } catch {}
+  if (!fallbackUrl) return null;
+  try {
+    return await (await fetch(fallbackUrl)).blob();
+  } catch {
+    return null;
+  }
+}
+
+// Photos stored before stripping was turned on still carry their EXIF; `strip` removes it on the way out.
+// Resolves to null when that fails, so the caller can refuse to ship the original.
+async function exportBlob(blob, strip) {
+  if (!strip || !(await readExif(blob).catch(() => null))) return blob;
+  return stripMetadata(blob).catch(() => null);
+}
+
+/**
+ * Builds the pack zip for the current game. Rounds whose image can't be found are exported without one.
+ * `map` is `{ name, aspect, bounds, imageId }`, where `imageId` is the map's key in the image store.
+ * With `strip`, round photos are exported without their EXIF metadata; if any photo's metadata
+ * can't be removed the export fails, naming those rounds.
+ */
+export async function buildPack({ name = "ProjectorGeoGuess Pack", rounds, teams, settings, map = null, strip = false }) {
+  const entries = [];
+  const manifestRounds = [];
+  const unstripped = [];
+
+  for (const [i, r] of rounds.entries()) {
+    const stored = await storedImageBlob(r.id, r.imageUrl);
+    const blob = stored && (await exportBlob(stored, strip));
+    if (stored && !blob) unstripped.push(r.title || r.imageName || `round ${i + 1}`);
+    let image = "";
+    if (blob) {
+      const ext = EXT_BY_MIME[blob.type] || extOf(r.imageName) || "bin";
+      image = `images/${String(i + 1).padStart(3, "0")}.${ext}`;
+      entries.push({ name: image, data: blob });
+    }
+    manifestRounds.push({
+      image,
+      imageName: r.imageName,
+      title: r.title || "",
+      type: r.type || "standard",
+      ...(r.type === "choice" && { options: r.options, correctOption: r.correctOption, optionReveal: r.optionReveal }),
+      answer: r.answer,
+      aliases: r.aliases || [],
+      tags: r.tags || [],
+      hints: r.hints,
+      location: r.location ?? null,
+      overrides: r.overrides || {},
+      focus: r.focus ?? null,
+      focusEnd: r.focusEnd ?? null,
+      takenAt: r.takenAt ?? null,
+      gps: r.gps ?? null,
+    });
+  }
+
+  if (unstripped.length) throw new Error(`could not remove the metadata from ${unstripped.join(", ")}`);
+
+  let manifestMap = null;
+  const mapBlob = map?.imageId ? await storedImageBlob(map.imageId) : null;
+  if (mapBlob) {
+    manifestMap = { image: `images/map.${EXT_BY_MIME[mapBlob.type] || extOf(map.name) || "bin"}`, name: map.name, aspect: map.aspect };
+    if (map.bounds) manifestMap.bounds = map.bounds;
+    entries.push({ name: manifestMap.image, data: mapBlob });
+  }
+
+  const manifest = {
+    meta: { name, version: PACK_VERSION, exportedAt: new Date().toISOString() },
+    rounds: manifestRounds,
+    teams,
+    settings,
+    map: manifestMap,
+  };
+  return createZip([{ name: MANIFEST, data: JSON.stringify(manifest, null, 2) }, ...entries]);
+}
+
+/**
+ * Reads a pack file (zip, or a legacy JSON pack) into `{ manifest, images }`,
+ * where `images` maps the manifest's image paths to Blobs.
+ */
+export async function readPack(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (!isZip(bytes)) {
+    return { manifest: JSON.parse(new TextDecoder().decode(bytes)), images: new Map() };
+  }
+
+  const files = await readZip(bytes);
+  const raw = files.get(MANIFEST);
+  if (!raw) throw new Error(`Pack is missing ${MANIFEST}`);
+  const manifest = JSON.parse(new TextDecoder().decode(raw));
+
+  const images = new Map();
+  for (const [path, data] of files) {
+    if (path === MANIFEST) continue;
+    images.set(path, new Blob([data], { type: MIME_BY_EXT[extOf(path)] || "application/octet-stream" }));
+  }
+  return { manifest, images };
+}
+
+/**
+ * Reads, migrates and validates a pack file without touching the current game.
+ * Returns `{ manifest, images, fromVersion, issues }`; `manifest` is null when the file
+ * couldn't be read at all, and `issues` then holds the reason.
+ */
+export async function inspectPack(file) {
+  let read;
+  try {
+    read = await readPack(file);
+  } catch (err) {
+    const path = err instanceof SyntaxError ? MANIFEST : "";
+    return { manifest: null, images: new Map(), fromVersion: null, issues: [{ path, message: err.message, level: "error" }] };
+  }
+
+  const { manifest, fromVersion, error } = migratePack(read.manifest);
+  if (error) return { manifest: null, images: read.images, fromVersion: null, issues: [{ ...error, level: "error" }] };
+  return { manifest, images: read.images, fromVersion, issues: validatePack(manifest, new Set(read.images.keys())) };
+}
@@ -0,0 +1,309 @@
+/**
+ * Pack manifest schema: version migrations and validation.
+ *
+ * `meta.version` history:
+ * - 1: plain JSON export, rounds carried session-only `imageUrl` blob URLs, no `initialZoom`.
+ * - 2: zip pack, rounds reference `images/...` entries, settings include `initialZoom`.
+ *      Optional fields added later without a bump, since older packs simply lack them:
+ *      map mode (`map`, `rounds[].location`, `settings.mapMode`, `settings.mapScoring`), `rounds[].aliases`
+ *      and team `color`/`emoji`/`logo`.
+ * - 3: hints are an ordered list of any length of `{ text, cost, cap }` objects instead of three strings.
+ *      Optional fields added since: `settings.revealEffect`, `rounds[].focus`, `rounds[].focusEnd`,
+ *      `rounds[].overrides`, `rounds[].tags`,
+ *      `rounds[].title`, `rounds[].takenAt`, `rounds[].gps`, `settings.stripMetadata`, `settings.photo`,
+ *      `settings.clockMode`, `settings.pauseOnHint`, `map.bounds`, `rounds[].type` and, for
+ *      multiple-choice rounds, `rounds[].options`, `rounds[].correctOption` and `rounds[].optionReveal`,
+ *      `settings.points`, `settings.judgeTolerance`, `settings.buzzerMode`.
+ *
+ * To change the format, bump PACK_VERSION, add a migration from the previous version
+ * and update `validatePack` to describe the new shape.
+ */
+
+import { DEFAULT_MAP_SCORING, validBounds } from "./geo.js";
+import { CLOCK_MODES } from "./clock.js";
+import { DEFAULT_PHOTO_SETTINGS } from "./imageTools.js";
+import { DEFAULT_TOLERANCE } from "./judge.js";
+import { ROUND_TYPES } from "./rounds.js";
+import { MAX_OPTIONS, MIN_OPTIONS, OPTION_REVEALS } from "./choice.js";
+import { REVEAL_EFFECTS } from "./reveal.js";
+
+export const PACK_VERSION = 3;
+
+export const DEFAULT_SETTINGS = {
+  duration: 60,
+  autoUnblur: true,
+  startBlur: 18,
+  initialZoom: 2.0,
+  points: 3,
+  judgeTolerance: DEFAULT_TOLERANCE,
+  revealEffect: "blur",
+  clockMode: "countdown",
+  pauseOnHint: false,
+  buzzerMode: false,
+  mapMode: false,
+  mapScoring: DEFAULT_MAP_SCORING,
+  stripMetadata: true,
+  photo: DEFAULT_PHOTO_SETTINGS,
+};
+
+// allowed values of the numeric timer settings, globally and in per-round overrides
+const RANGES = { duration: [10, 300], startBlur: [0, 30], initialZoom: [1, 3] };
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const typeName = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : typeof v);
+
+// migrations[n] upgrades a version n manifest to version n + 1
+const migrations = {
+  1: (m) => ({
+    ...m,
+    meta: { ...m.meta, version: 2 },
+    rounds: Array.isArray(m.rounds)
+      ? m.rounds.map(({ imageUrl, ...r }) => ({ ...r, image: "" })) // blob URLs never survive a machine change
+      : m.rounds,
+    settings: m.settings && typeof m.settings === "object" ? { initialZoom: DEFAULT_SETTINGS.initialZoom, ...m.settings } : m.settings,
+  }),
+  2: (m) => ({
+    ...m,
+    meta: { ...m.meta, version: 3 },
+    rounds: Array.isArray(m.rounds)
+      ? m.rounds.map((r) =>
+          isObject(r) && Array.isArray(r.hints)
+            ? { ...r, hints: r.hints.map((h) => (typeof h === "string" ? { text: h, cost: null, cap: null } : h)) }
+            : r
+        )
+      : m.rounds,
+  }),
+};
+
+/**
+ * Upgrades a manifest to PACK_VERSION. Returns `{ manifest, fromVersion }`, or `{ error }` when the
+ * version is missing, malformed or newer than this app understands.
+ */
+export function migratePack(manifest) {
+  if (manifest === null || typeof manifest !== "object" || Array.isArray(manifest)) {
+    return { error: { path: "", message: "pack manifest must be a JSON object" } };
+  }
+  const fromVersion = manifest?.meta?.version ?? 1; // the earliest exports all carried version 1
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    return { error: { path: "meta.version", message: `unknown pack version ${JSON.stringify(fromVersion)}` } };
+  }
+  if (fromVersion > PACK_VERSION) {
+    return { error: { path: "meta.version", message: `pack version ${fromVersion} is newer than this app (${PACK_VERSION})` } };
+  }
+  let m = { ...manifest, meta: { ...manifest.meta, version: fromVersion } };
+  for (let v = fromVersion; v < PACK_VERSION; v++) m = migrations[v](m);
+  return { manifest: m, fromVersion };
+}
+
+/**
+ * Checks a migrated manifest. Returns a list of `{ path, message, level }` issues, where `level` is
+ * "error" (the pack can't be imported) or "warning" (importable, but worth a look).
+ * `imagePaths` is the set of image entries actually present in the zip.
+ */
+export function validatePack(m, imagePaths = new Set()) {
+  const issues = [];
+  const error = (path, message) => issues.push({ path, message, level: "error" });
+  const warn = (path, message) => issues.push({ path, message, level: "warning" });
+  const expect = (path, value, type) => {
+    if (typeof value === type) return true;
+    error(path, `expected ${type}, got ${typeName(value)}`);
+    return false;
+  };
+  const inRange = (path, v, min, max) => {
+    if (expect(path, v, "number") && (v < min || v > max)) error(path, `must be between ${min} and ${max}, got ${v}`);
+  };
+  const checkPoint = (path, v) => {
+    if (!isObject(v)) return error(path, `expected object, got ${typeName(v)}`);
+    for (const axis of ["x", "y"]) {
+      if (expect(`${path}.${axis}`, v[axis], "number") && (v[axis] < 0 || v[axis] > 1)) {
+        error(`${path}.${axis}`, `must be between 0 and 1, got ${v[axis]}`);
+      }
+    }
+  };
+
+  if (!isObject(m)) {
+    error("", `expected an object, got ${typeName(m)}`);
+    return issues;
+  }
+
+  if (!isObject(m.meta)) error("meta", `expected object, got ${typeName(m.meta)}`);
+  else if (m.meta.name !== undefined) expect("meta.name", m.meta.name, "string");
+
+  if (m.rounds !== undefined) {
+    if (!Array.isArray(m.rounds)) error("rounds", `expected array, got ${typeName(m.rounds)}`);
+    else {
+      m.rounds.forEach((r, i) => {
+        const p = `rounds[${i}]`;
+        if (!isObject(r)) return error(p, `expected object, got ${typeName(r)}`);
+        if (r.imageName !== undefined) expect(`${p}.imageName`, r.imageName, "string");
+        if (r.title !== undefined) expect(`${p}.title`, r.title, "string");
+        if (r.type !== undefined && expect(`${p}.type`, r.type, "string") && !ROUND_TYPES.some((t) => t.id === r.type)) {
+          warn(`${p}.type`, `unknown round type ${JSON.stringify(r.type)}, it will be played as a standard round`);
+        }
+        if (r.type === "choice") {
+          if (!Array.isArray(r.options)) error(`${p}.options`, `expected array, got ${typeName(r.options)}`);
+          else {
+            r.options.forEach((o, j) => expect(`${p}.options[${j}]`, o, "string"));
+            if (r.options.length < MIN_OPTIONS || r.options.length > MAX_OPTIONS) {
+              warn(`${p}.options`, `expected ${MIN_OPTIONS} to ${MAX_OPTIONS} options, got ${r.options.length}`);
+            }
+            if (!Number.isInteger(r.correctOption) || r.correctOption < 0 || r.correctOption >= r.options.length) {
+              error(`${p}.correctOption`, `expected the index of one of the ${r.options.length} options, got ${JSON.stringify(r.correctOption)}`);
+            }
+          }
+          if (r.optionReveal !== undefined && !OPTION_REVEALS.some((o) => o.id === r.optionReveal)) {
+            warn(`${p}.optionReveal`, `unknown option reveal ${JSON.stringify(r.optionReveal)}, all options will show at once`);
+          }
+        }
+        if (r.takenAt != null && expect(`${p}.takenAt`, r.takenAt, "string") && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/.test(r.takenAt)) {
+          error(`${p}.takenAt`, `expected a "YYYY-MM-DDTHH:MM:SS" time, got "${r.takenAt}"`);
+        }
+        if (r.gps != null) {
+          if (!isObject(r.gps)) error(`${p}.gps`, `expected object, got ${typeName(r.gps)}`);
+          else {
+            inRange(`${p}.gps.lat`, r.gps.lat, -90, 90);
+            inRange(`${p}.gps.lon`, r.gps.lon, -180, 180);
+          }
+        }
+        if (r.image !== undefined && expect(`${p}.image`, r.image, "string")) {
+          if (!r.image) warn(`${p}.image`, "no image; re-attach one after import");
+          else if (!imagePaths.has(r.image)) error(`${p}.image`, `"${r.image}" is not in the pack`);
+        }
+        // a choice round's answer is its correct option
+        if (r.answer === undefined || r.answer === "") {
+          if (r.type !== "choice") warn(`${p}.answer`, "missing answer");
+        } else expect(`${p}.answer`, r.answer, "string");
+        if (r.aliases !== undefined) {
+          if (!Array.isArray(r.aliases)) error(`${p}.aliases`, `expected array, got ${typeName(r.aliases)}`);
+          else r.aliases.forEach((a, j) => expect(`${p}.aliases[${j}]`, a, "string"));
+        }
+        if (r.tags !== undefined) {
+          if (!Array.isArray(r.tags)) error(`${p}.tags`, `expected array, got ${typeName(r.tags)}`);
+          else r.tags.forEach((t, j) => expect(`${p}.tags[${j}]`, t, "string"));
+        }
+        if (r.location != null) checkPoint(`${p}.location`, r.location);
+        if (r.focus != null) checkPoint(`${p}.focus`, r.focus);
+        if (r.focusEnd != null) checkPoint(`${p}.focusEnd`, r.focusEnd);
+        if (r.overrides !== undefined) {
+          const o = r.overrides;
+          if (!isObject(o)) error(`${p}.overrides`, `expected object, got ${typeName(o)}`);
+          else {
+            for (const [key, [min, max]] of Object.entries(RANGES)) {
+              if (o[key] != null) inRange(`${p}.overrides.${key}`, o[key], min, max);
+            }
+            if (o.points != null && expect(`${p}.overrides.points`, o.points, "number") && o.points < 0) {
+              error(`${p}.overrides.points`, "must not be negative");
+            }
+            if (o.autoUnblur != null) expect(`${p}.overrides.autoUnblur`, o.autoUnblur, "boolean");
+          }
+        }
+        if (!Array.isArray(r.hints)) error(`${p}.hints`, `expected array, got ${typeName(r.hints)}`);
+        else {
+          r.hints.forEach((h, j) => {
+            const hp = `${p}.hints[${j}]`;
+            if (!isObject(h)) return error(hp, `expected object, got ${typeName(h)}`);
+            expect(`${hp}.text`, h.text, "string");
+            for (const key of ["cost", "cap"]) {
+              if (h[key] != null && expect(`${hp}.${key}`, h[key], "number") && h[key] < 0) error(`${hp}.${key}`, "must not be negative");
+            }
+          });
+        }
+      });
+    }
+  }
+
+  if (m.teams !== undefined) {
+    if (!Array.isArray(m.teams)) error("teams", `expected array, got ${typeName(m.teams)}`);
+    else {
+      const seen = new Set();
+      m.teams.forEach((t, i) => {
+        const p = `teams[${i}]`;
+        if (!isObject(t)) return error(p, `expected object, got ${typeName(t)}`);
+        if (expect(`${p}.id`, t.id, "string")) {
+          if (seen.has(t.id)) error(`${p}.id`, `duplicate team id "${t.id}"`);
+          seen.add(t.id);
+        }
+        expect(`${p}.name`, t.name, "string");
+        if (t.color !== undefined && expect(`${p}.color`, t.color, "string") && !/^#[0-9a-f]{6}$/i.test(t.color)) {
+          error(`${p}.color`, `expected a #rrggbb color, got "${t.color}"`);
+        }
+        if (t.emoji !== undefined) expect(`${p}.emoji`, t.emoji, "string");
+        if (t.logo !== undefined && expect(`${p}.logo`, t.logo, "string") && !t.logo.startsWith("data:image/")) {
+          error(`${p}.logo`, "expected an image data URL");
+        }
+        if (t.score !== undefined && expect(`${p}.score`, t.score, "number") && t.score < 0) {
+          error(`${p}.score`, "must not be negative");
+        }
+      });
+    }
+  }
+
+  if (m.settings !== undefined) {
+    if (!isObject(m.settings)) error("settings", `expected object, got ${typeName(m.settings)}`);
+    else {
+      const s = m.settings;
+      for (const [key, [min, max]] of Object.entries(RANGES)) {
+        if (s[key] !== undefined) inRange(`settings.${key}`, s[key], min, max);
+      }
+      if (s.autoUnblur !== undefined) expect("settings.autoUnblur", s.autoUnblur, "boolean");
+      if (s.points !== undefined && expect("settings.points", s.points, "number") && s.points < 0) {
+        error("settings.points", "must not be negative");
+      }
+      // the share of characters a guess may get wrong, as on the typo tolerance slider
+      if (s.judgeTolerance !== undefined) inRange("settings.judgeTolerance", s.judgeTolerance, 0, 0.5);
+      if (s.revealEffect !== undefined && expect("settings.revealEffect", s.revealEffect, "string")) {
+        if (!REVEAL_EFFECTS.some((fx) => fx.id === s.revealEffect)) {
+          warn("settings.revealEffect", `unknown effect ${JSON.stringify(s.revealEffect)}, blur will be used`);
+        }
+      }
+      if (s.clockMode !== undefined && expect("settings.clockMode", s.clockMode, "string")) {
+        if (!CLOCK_MODES.some((mode) => mode.id === s.clockMode)) {
+          warn("settings.clockMode", `unknown clock mode ${JSON.stringify(s.clockMode)}, count down will be used`);
+        }
+      }
+      if (s.pauseOnHint !== undefined) expect("settings.pauseOnHint", s.pauseOnHint, "boolean");
+      if (s.buzzerMode !== undefined) expect("settings.buzzerMode", s.buzzerMode, "boolean");
+      if (s.mapMode !== undefined) expect("settings.mapMode", s.mapMode, "boolean");
+      if (s.stripMetadata !== undefined) expect("settings.stripMetadata", s.stripMetadata, "boolean");
+      if (s.photo !== undefined) {
+        if (!isObject(s.photo)) error("settings.photo", `expected object, got ${typeName(s.photo)}`);
+        else {
+          if (s.photo.maxSize !== undefined && expect("settings.photo.maxSize", s.photo.maxSize, "number") && s.photo.maxSize < 0) {
+            error("settings.photo.maxSize", "must not be negative");
+          }
+          if (s.photo.quality !== undefined) inRange("settings.photo.quality", s.photo.quality, 0.1, 1);
+        }
+      }
+      if (s.mapScoring !== undefined) {
+        if (!isObject(s.mapScoring)) error("settings.mapScoring", `expected object, got ${typeName(s.mapScoring)}`);
+        else {
+          for (const key of ["maxPoints", "fullRadius", "zeroRadius", "mapWidthMeters"]) {
+            const v = s.mapScoring[key];
+            if (v !== undefined && expect(`settings.mapScoring.${key}`, v, "number") && v < 0) {
+              error(`settings.mapScoring.${key}`, "must not be negative");
+            }
+          }
+          const falloff = s.mapScoring.falloff;
+          if (falloff !== undefined && falloff !== "linear" && falloff !== "exponential") {
+            error("settings.mapScoring.falloff", `expected "linear" or "exponential", got ${JSON.stringify(falloff)}`);
+          }
+        }
+      }
+    }
+  }
+
+  if (m.map != null) {
+    if (!isObject(m.map)) error("map", `expected object, got ${typeName(m.map)}`);
+    else {
+      if (expect("map.image", m.map.image, "string") && !imagePaths.has(m.map.image)) {
+        error("map.image", `"${m.map.image}" is not in the pack`);
+      }
+      if (expect("map.aspect", m.map.aspect, "number") && !(m.map.aspect > 0)) error("map.aspect", "must be positive");
+      if (m.map.bounds != null && !validBounds(m.map.bounds)) {
+        warn("map.bounds", "expected north > south and east > west in degrees; photo GPS won't be placed on the map");
+      }
+    }
+  }
+
+  return issues;
+}
@@ -0,0 +1,36 @@
+/**
+ * Seeded pseudo-random numbers, so anything "random" (tile order, shuffles) comes out the same
+ * on every window and every reload for the same seed.
+ */
+
+function hashString(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: returns a function yielding floats in [0, 1)
+export function seededRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher-Yates with a seeded generator; returns a new array.
+export function seededShuffle(items, seed) {
+  const rand = seededRandom(seed);
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
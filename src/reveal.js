@@ -0,0 +1,123 @@
+/**
+ * Canvas reveal effects.
+ * Every effect is a pure function of the image, the canvas size and `amount` (0 = fully hidden,
+ * 1 = fully revealed), so the stage and the participant window draw identical frames from the
+ * same synced value. Blur and zoom stay CSS on the canvas element (see RevealCanvas).
+ */
+import { seededShuffle } from "./random.js";
+
+export const REVEAL_EFFECTS = [
+  { id: "blur", label: "Blur" },
+  { id: "pixelate", label: "Pixelate" },
+  { id: "tiles", label: "Tile reveal" },
+  { id: "spotlight", label: "Spotlight" },
+  { id: "grayscale", label: "Grayscale to color" },
+];
+
+const TILE_COLOR = "#0f172a";
+
+// Source rectangle that covers a w x h canvas like CSS object-fit: cover.
+export function coverRect(img, w, h) {
+  const scale = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+  const sw = w / scale;
+  const sh = h / scale;
+  return [(img.naturalWidth - sw) / 2, (img.naturalHeight - sh) / 2, sw, sh];
+}
+
+// Maps a point given as fractions of the photo to fractions of the w x h view, clamped to the view.
+export function toViewPoint(img, w, h, point) {
+  if (!point) return null;
+  const [sx, sy, sw, sh] = coverRect(img, w, h);
+  const clamp = (v) => Math.max(0, Math.min(1, v));
+  return { x: clamp((point.x * img.naturalWidth - sx) / sw), y: clamp((point.y * img.naturalHeight - sy) / sh) };
+}
+
+function drawCover(ctx, img, w, h) {
+  ctx.drawImage(img, ...coverRect(img, w, h), 0, 0, w, h);
+}
+
+function drawPixelated(ctx, img, w, h, amount, cache) {
+  // block size shrinks quadratically so the last seconds still change visibly
+  const maxBlock = Math.max(w, h) / 16;
+  const block = Math.max(1, Math.round(maxBlock * (1 - amount) ** 2));
+  if (block <= 1) return drawCover(ctx, img, w, h);
+  const small = (cache.small ??= document.createElement("canvas"));
+  small.width = Math.max(1, Math.ceil(w / block));
+  small.height = Math.max(1, Math.ceil(h / block));
+  small.getContext("2d").drawImage(img, ...coverRect(img, w, h), 0, 0, small.width, small.height);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, small.width, small.height, 0, 0, small.width * block, small.height * block);
+  ctx.imageSmoothingEnabled = true;
+}
+
+function drawTiles(ctx, img, w, h, amount, seed) {
+  drawCover(ctx, img, w, h);
+  const cols = w >= h ? 6 : 4;
+  const rows = w >= h ? 4 : 6;
+  const order = seededShuffle([...Array(cols * rows).keys()], seed);
+  const hidden = order.slice(Math.floor(amount * order.length));
+  const tw = w / cols;
+  const th = h / rows;
+  ctx.fillStyle = TILE_COLOR;
+  ctx.strokeStyle = "rgba(255,255,255,0.08)";
+  for (const i of hidden) {
+    const x = (i % cols) * tw;
+    const y = Math.floor(i / cols) * th;
+    ctx.fillRect(x, y, Math.ceil(tw), Math.ceil(th));
+    ctx.strokeRect(x + 0.5, y + 0.5, tw - 1, th - 1);
+  }
+}
+
+function drawSpotlight(ctx, img, w, h, amount, center) {
+  drawCover(ctx, img, w, h);
+  if (amount >= 1) return;
+  const cx = (center?.x ?? 0.5) * w;
+  const cy = (center?.y ?? 0.5) * h;
+  // far enough to clear the furthest corner from the center
+  const full = Math.hypot(Math.max(cx, w - cx), Math.max(cy, h - cy));
+  const r = full * (0.08 + 0.92 * amount);
+  const g = ctx.createRadialGradient(cx, cy, r * 0.85, cx, cy, r);
+  g.addColorStop(0, "rgba(0,0,0,0)");
+  g.addColorStop(1, "rgba(0,0,0,1)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, h);
+}
+
+function drawGrayscale(ctx, img, w, h, amount, cache) {
+  drawCover(ctx, img, w, h);
+  if (amount >= 1) return;
+  // the desaturated copy is computed once per image and size, then faded out over the color frame
+  const key = `${img.src}|${w}x${h}`;
+  if (cache.grayKey !== key) {
+    const gray = (cache.gray ??= document.createElement("canvas"));
+    gray.width = w;
+    gray.height = h;
+    const gctx = gray.getContext("2d");
+    drawCover(gctx, img, w, h);
+    const data = gctx.getImageData(0, 0, w, h);
+    const px = data.data;
+    for (let i = 0; i < px.length; i += 4) {
+      const l = 0.2126 * px[i] + 0.7152 * px[i + 1] + 0.0722 * px[i + 2];
+      px[i] = px[i + 1] = px[i + 2] = l;
+    }
+    gctx.putImageData(data, 0, 0);
+    cache.grayKey = key;
+  }
+  ctx.globalAlpha = 1 - amount;
+  ctx.drawImage(cache.gray, 0, 0);
+  ctx.globalAlpha = 1;
+}
+
+/**
+ * Draws one frame. `cache` is a per-canvas object the effects use to keep scratch canvases;
+ * `seed` fixes the tile order; `center` is the spotlight center as { x, y } fractions of the view.
+ */
+export function drawReveal(ctx, img, { width, height, effect = "blur", amount = 0, seed = "", center = null, cache = {} }) {
+  ctx.clearRect(0, 0, width, height);
+  const a = Math.max(0, Math.min(1, amount));
+  if (effect === "pixelate") drawPixelated(ctx, img, width, height, a, cache);
+  else if (effect === "tiles") drawTiles(ctx, img, width, height, a, seed);
+  else if (effect === "spotlight") drawSpotlight(ctx, img, width, height, a, center);
+  else if (effect === "grayscale") drawGrayscale(ctx, img, width, height, a, cache);
+  else drawCover(ctx, img, width, height);
+}
@@ -0,0 +1,131 @@
+import { roundAnswer } from "./choice.js";
+
+/**
+ * Round model.
+ * hints: ordered `[{ text, cost, cap }]` where `cost` is deducted from the points still available
+ * once the hint is revealed and `cap` limits them (both optional, null when unused).
+ * reveal: `{ hints: [bool per hint], answer }`.
+ * tags: lowercase labels for organizing the library ("dorms", "hard").
+ * overrides: per-round replacements for global settings, only the keys the round sets
+ * (`duration`, `autoUnblur`, `startBlur`, `initialZoom`, `points`).
+ * imageName is the uploaded file's name and stays on the host; `title` is the name shown for the
+ * round, since file names like "IMG_library_front.jpg" give the answer away.
+ * type: one of ROUND_TYPES; wager rounds keep their live bets in `bets`, `betResults` and
+ * `settlement` (see wager.js), multiple-choice rounds their options in `options`, `correctOption`
+ * and `optionReveal` (see choice.js); their answer is the correct option (`roundAnswer`).
+ */
+
+export const ROUND_TYPES = [
+  { id: "standard", label: "Standard" },
+  { id: "wager", label: "Wager (teams bet points first)" },
+  { id: "choice", label: "Multiple choice" },
+];
+
+export const OVERRIDE_KEYS = ["duration", "autoUnblur", "startBlur", "initialZoom", "points"];
+
+export const makeHint = (text = "") => ({ text, cost: null, cap: null });
+
+export const makeRound = (fields = {}) => ({
+  id: crypto.randomUUID(),
+  type: "standard",
+  imageUrl: "",
+  thumbUrl: "", // object URL of the small list thumbnail; like imageUrl, rebuilt from IndexedDB on load
+  imageName: "",
+  title: "", // display name; empty shows the file name on the host and "Round N" to players
+  answer: "",
+  aliases: [], // other accepted spellings of the answer, used for automatic judging
+  tags: [],
+  hints: [makeHint(), makeHint(), makeHint()],
+  reveal: { hints: [false, false, false], answer: false },
+  location: null, // map mode: true location as { x, y } fractions of the campus map
+  takenAt: null, // "YYYY-MM-DDTHH:MM:SS" capture time from the photo's EXIF, editable
+  gps: null, // { lat, lon } from the photo's EXIF, kept after the metadata is stripped from the image
+  focus: null, // zoom focal point at the start of the round, { x, y } fractions of the photo
+  focusEnd: null, // optional point the view pans to while zooming out; null keeps the focus still
+  guesses: {}, // map mode: teamId -> { x, y }
+  mapAwarded: false,
+  bets: {}, // wager rounds: teamId -> points bet
+  betResults: {}, // wager rounds: teamId -> true (right) | false (wrong), marked by the host
+  betsLocked: false, // wager rounds: set when the clock first starts, so bets can't reopen mid-round
+  settlement: null, // wager rounds: settled bets, see settlementRows in wager.js
+  buzzes: [], // buzzer mode: this round's buzz log, see buzzer.js
+  options: [], // multiple choice: option texts, shown as lettered tiles
+  correctOption: 0, // multiple choice: index of the right option
+  optionReveal: "all", // multiple choice: see OPTION_REVEALS in choice.js
+  eliminated: [], // multiple choice: indices of options knocked out during the round
+  choiceAwarded: false,
+  overrides: {},
+  ...fields,
+});
+
+export const hiddenReveal = (round) => ({ hints: round.hints.map(() => false), answer: false });
+
+/**
+ * Upgrades a round saved before hints were a list of objects (three strings plus
+ * `reveal.hint1..hint3`); already-current rounds are returned untouched.
+ */
+export function normalizeRound(r) {
+  const hintsOk = Array.isArray(r.hints) && r.hints.every((h) => h && typeof h === "object");
+  const revealOk = Array.isArray(r.reveal?.hints) && r.reveal.hints.length === r.hints?.length;
+  if (hintsOk && revealOk) return r;
+
+  const hints = (Array.isArray(r.hints) ? r.hints : []).map((h) => (typeof h === "string" ? makeHint(h) : { ...makeHint(), ...h }));
+  const old = r.reveal || {};
+  const shown = Array.isArray(old.hints) ? old.hints : hints.map((_, i) => !!old[`hint${i + 1}`]);
+  return { ...r, hints, reveal: { hints: hints.map((_, i) => !!shown[i]), answer: !!old.answer } };
+}
+
+export const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, " ");
+
+// Every tag used by any round, sorted.
+export const allTags = (rounds) => [...new Set(rounds.flatMap((r) => r.tags || []))].sort();
+
+/**
+ * Round library filter. `text` matches the display and file names, answer, aliases and tags; `tag` must be one of
+ * the round's tags; `missingAnswer` keeps only rounds without an answer. Empty criteria match all.
+ */
+export function matchesFilter(round, { text = "", tag = "", missingAnswer = false } = {}) {
+  const answer = roundAnswer(round);
+  if (missingAnswer && answer.trim()) return false;
+  if (tag && !(round.tags || []).includes(tag)) return false;
+  const q = text.trim().toLowerCase();
+  if (!q) return true;
+  return [round.title, round.imageName, answer, ...(round.aliases || []), ...(round.tags || [])].some((v) => v?.toLowerCase().includes(q));
+}
+
+/**
+ * Settings the round plays with: `globals` with the round's own overrides on top.
+ */
+export function roundSettings(round, globals) {
+  const out = { ...globals };
+  for (const key of OVERRIDE_KEYS) {
+    if (round?.overrides?.[key] != null) out[key] = round.overrides[key];
+  }
+  return out;
+}
+
+/**
+ * Zoom focal point at `t` (0 = round start, 1 = fully zoomed out), moving from `focus` to `focusEnd`.
+ * Null when the round has no focus, meaning the image center.
+ */
+export function focusAt(round, t) {
+  const start = round?.focus;
+  if (!start) return null;
+  const end = round.focusEnd || start;
+  const lerp = (a, b) => Math.round((a + (b - a) * t) * 1000) / 1000;
+  return { x: lerp(start.x, end.x), y: lerp(start.y, end.y) };
+}
+
+/**
+ * Applies the costs and caps of every revealed hint to `points`. Never goes below 0.
+ */
+export function applyHintPenalty(points, round) {
+  if (!round) return points;
+  let p = points;
+  round.hints.forEach((h, i) => {
+    if (!round.reveal.hints[i]) return;
+    if (h.cost) p -= h.cost;
+    if (h.cap != null) p = Math.min(p, h.cap);
+  });
+  return Math.max(0, p);
+}
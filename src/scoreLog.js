@@ -0,0 +1,63 @@
+/**
+ * Scoreboard event log.
+ * Every score change is an event `{ id, batch, teamId, delta, roundId, at, reason }`; team totals
+ * are always derived from the log, never stored. Changes made together (a reset, a map-mode award)
+ * share a `batch` id so one undo reverts them as a unit.
+ *
+ * log: { events: [...], redo: [[...batch events], ...] }
+ */
+
+export const EMPTY_LOG = { events: [], redo: [] };
+
+export function scoreTotals(events) {
+  const totals = {};
+  for (const e of events) totals[e.teamId] = (totals[e.teamId] ?? 0) + e.delta;
+  return totals;
+}
+
+/**
+ * Appends one batch of `[{ teamId, delta }]` changes. Scores never go below 0, so a negative
+ * delta is trimmed to what the team has; zero-effect changes are dropped. Clears the redo stack.
+ */
+export function recordBatch(log, changes, { roundId = null, reason = "" } = {}) {
+  const totals = scoreTotals(log.events);
+  const batch = crypto.randomUUID();
+  const at = Date.now();
+  const events = [];
+  for (const { teamId, delta } of changes) {
+    const current = totals[teamId] ?? 0;
+    const applied = Math.max(-current, delta);
+    if (!applied) continue;
+    totals[teamId] = current + applied;
+    events.push({ id: crypto.randomUUID(), batch, teamId, delta: applied, roundId, at, reason });
+  }
+  return events.length ? { events: [...log.events, ...events], redo: [] } : log;
+}
+
+export function undoLast(log) {
+  const last = log.events[log.events.length - 1];
+  if (!last) return log;
+  const keep = log.events.filter((e) => e.batch !== last.batch);
+  const undone = log.events.filter((e) => e.batch === last.batch);
+  return { events: keep, redo: [...log.redo, undone] };
+}
+
+export function redoLast(log) {
+  const batch = log.redo[log.redo.length - 1];
+  if (!batch) return log;
+  return { events: [...log.events, ...batch], redo: log.redo.slice(0, -1) };
+}
+
+// roundId -> teamId -> points; events outside a round are grouped under the "" key.
+export function roundBreakdown(events) {
+  const table = {};
+  for (const e of events) {
+    const row = (table[e.roundId ?? ""] ??= {});
+    row[e.teamId] = (row[e.teamId] ?? 0) + e.delta;
+  }
+  return table;
+}
+
+// One-time seed for games saved before the log existed: carry each team's stored score over.
+export const seedLogFromTeams = (teams) =>
+  recordBatch(EMPTY_LOG, teams.filter((t) => t.score > 0).map((t) => ({ teamId: t.id, delta: t.score })), { reason: "carried over" });
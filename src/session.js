@@ -0,0 +1,35 @@
+import { clockElapsed, pauseClock, startClock } from "./clock.js";
+import { PHASE } from "./flow.js";
+
+/**
+ * Session snapshot: the live state of a game that isn't part of the pack (clock, phase, preview,
+ * participant window), written continuously so a reload can put the game back where it was.
+ * `{ savedAt, roundId, phase, clock, previewUnblur, participantOpen }`; `savedAt` is a Date.now()
+ * timestamp, the same time base as the clock (see clock.js), so the two together tell how long
+ * the page was down.
+ */
+
+export const makeSnapshot = ({ roundId, phase, clock, previewUnblur, participantOpen }, now) => ({
+  savedAt: now,
+  roundId,
+  phase,
+  clock,
+  previewUnblur,
+  participantOpen,
+});
+
+// Worth offering to resume: the game had left the title screen or its clock had started.
+export const isResumable = (snap) =>
+  !!snap && typeof snap.savedAt === "number" && !!snap.clock && (snap.phase !== PHASE.TITLE || clockElapsed(snap.clock, snap.savedAt) > 0);
+
+// Seconds between the last snapshot and `now`.
+export const downtime = (snap, now) => Math.max(0, (now - snap.savedAt) / 1000);
+
+/**
+ * The clock to resume with. A clock that was running keeps running; with `countDowntime` the time
+ * the page was down counts as played, otherwise the clock picks up where the snapshot left it.
+ */
+export function resumeClock(snap, now, countDowntime) {
+  if (!snap.clock.running || countDowntime) return snap.clock;
+  return startClock(pauseClock(snap.clock, snap.savedAt), now);
+}
@@ -0,0 +1,101 @@
+/**
+ * Keyboard shortcuts.
+ * A binding is a key combo string as produced by `eventCombo`, e.g. "PageDown", "B", "Shift+1", "Ctrl+Z".
+ * Bindings are stored per action as `{ [actionId]: [combo, ...] }`; actions missing from a stored map
+ * (added in a later version) fall back to their defaults, see `withDefaultBindings`.
+ */
+
+export const MAX_HINT_KEYS = 5;
+export const MAX_TEAM_KEYS = 8;
+
+// Buzzer mode: one key per team, spread over the keyboard so teams sharing it each get a zone.
+// A USB keypad works the same way once its keys are bound here (its digits take over the hint keys).
+const BUZZ_KEYS = ["Q", "Z", "T", "V", "O", "L", "E", "C"];
+
+// Defaults cover presentation clickers, which send PageUp/PageDown, arrow keys and B (blank screen).
+export const SHORTCUT_ACTIONS = [
+  { id: "advance", label: "Advance game (next phase)", keys: ["PageDown", "ArrowRight"] },
+  { id: "startPause", label: "Start / pause timer", keys: ["Space", "B"] },
+  { id: "nextRound", label: "Next round", keys: ["N"] },
+  { id: "prevRound", label: "Previous round", keys: ["PageUp", "ArrowLeft"] },
+  ...Array.from({ length: MAX_HINT_KEYS }, (_, i) => ({ id: `hint${i + 1}`, label: `Reveal hint ${i + 1}`, keys: [String(i + 1)] })),
+  { id: "answer", label: "Reveal answer", keys: ["A", "Enter"] },
+  { id: "preview", label: "Preview unblur", keys: ["P"] },
+  ...Array.from({ length: MAX_TEAM_KEYS }, (_, i) => ({
+    id: `award${i + 1}`,
+    label: `Award points to team ${i + 1}`,
+    keys: [`Shift+${i + 1}`],
+  })),
+  ...Array.from({ length: MAX_TEAM_KEYS }, (_, i) => ({
+    id: `buzz${i + 1}`,
+    label: `Buzz in for team ${i + 1} (buzzer mode)`,
+    keys: [BUZZ_KEYS[i]],
+  })),
+  { id: "undo", label: "Undo score change", keys: ["Ctrl+Z"] },
+  { id: "redo", label: "Redo score change", keys: ["Ctrl+Y", "Ctrl+Shift+Z"] },
+  { id: "mute", label: "Mute / unmute sound", keys: ["M"] },
+  { id: "cheatSheet", label: "Show / hide shortcuts", keys: ["?"] },
+];
+
+export const defaultBindings = () => Object.fromEntries(SHORTCUT_ACTIONS.map((a) => [a.id, [...a.keys]]));
+
+/**
+ * Fills in actions missing from a stored map (added in a later version) with their defaults. Those
+ * keys are taken away from the stored actions, so a key that moved to a new action (PageDown from
+ * "next round" to "advance") doesn't end up triggering both.
+ */
+export function withDefaultBindings(stored) {
+  if (!stored) return defaultBindings();
+  const added = SHORTCUT_ACTIONS.filter((a) => !stored[a.id]);
+  const taken = new Set(added.flatMap((a) => a.keys));
+  const out = {};
+  for (const [id, keys] of Object.entries(stored)) out[id] = keys.filter((k) => !taken.has(k));
+  for (const a of added) out[a.id] = [...a.keys];
+  return out;
+}
+
+const MODIFIER_KEYS = ["Control", "Meta", "Alt", "Shift"];
+
+/**
+ * Normalizes a keydown event to a combo string. Returns "" for a lone modifier press.
+ * Digits use the physical key so Shift+1 stays "Shift+1" on every layout; Cmd counts as Ctrl.
+ */
+export function eventCombo(e) {
+  if (MODIFIER_KEYS.includes(e.key)) return "";
+  let key = /^(Digit|Numpad)\d$/.test(e.code || "") ? e.code.slice(-1) : e.key;
+  if (key === " ") key = "Space";
+  if (key.length === 1) key = key.toUpperCase();
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push("Ctrl");
+  if (e.altKey) mods.push("Alt");
+  // Shift is already part of symbols like "?", so it is only spelled out for letters, digits and named keys
+  if (e.shiftKey && !(key.length === 1 && !/[A-Z0-9]/.test(key))) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+const ARROWS = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+export const formatCombo = (combo) => combo.replace(/Arrow(Left|Right|Up|Down)/, (a) => ARROWS[a]);
+
+// Action bound to `combo`, or null.
+export function actionForCombo(bindings, combo) {
+  if (!combo) return null;
+  for (const [id, keys] of Object.entries(bindings)) {
+    if (keys.includes(combo)) return id;
+  }
+  return null;
+}
+
+// Binds `combo` to `actionId`, taking it away from any other action so one key never triggers two.
+export function bindKey(bindings, actionId, combo) {
+  const next = {};
+  for (const [id, keys] of Object.entries(bindings)) next[id] = keys.filter((k) => k !== combo);
+  next[actionId] = [...(next[actionId] || []), combo];
+  return next;
+}
+
+export function unbindKey(bindings, actionId, combo) {
+  return { ...bindings, [actionId]: (bindings[actionId] || []).filter((k) => k !== combo) };
+}
+
+// True when the event comes from a field the host is typing in.
+export const isTypingTarget = (target) => !!target?.closest?.("input, textarea, select, [contenteditable=true]");
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { actionForCombo, defaultBindings, withDefaultBindings } from "./shortcuts.js";
+
+test("no stored bindings gives the defaults", () => {
+  assert.deepEqual(withDefaultBindings(null), defaultBindings());
+});
+
+test("keys that moved to a newly added action leave the old one", () => {
+  // saved before the advance action existed, when PageDown and → went to the next round
+  const stored = { ...defaultBindings(), nextRound: ["N", "PageDown", "ArrowRight"] };
+  delete stored.advance;
+  const bindings = withDefaultBindings(stored);
+  assert.deepEqual(bindings.advance, ["PageDown", "ArrowRight"]);
+  assert.deepEqual(bindings.nextRound, ["N"]);
+  assert.equal(actionForCombo(bindings, "PageDown"), "advance");
+});
+
+test("bindings the host changed are kept once every action is stored", () => {
+  const stored = { ...defaultBindings(), advance: ["Enter"], answer: ["A", "PageDown"] };
+  assert.deepEqual(withDefaultBindings(stored), stored);
+});
@@ -0,0 +1,179 @@
+import { createContext, useContext, useEffect, useState } from "react";
+import { MAP_IMAGE_ID } from "./geo.js";
+import { deleteImage, getImage, putImage, thumbId } from "./imageStore.js";
+
+/**
+ * localStorage layer and the local pack library.
+ * Every game ("pack") keeps its own copy of each per-game key, stored as `${key}@${packId}`; device
+ * settings (companion URL, key bindings) stay in plain global keys. The library index is
+ * `pg_library_v1`: `{ activeId, packs: [{ id, name, createdAt }] }`.
+ * Round images live in IndexedDB keyed by round id, which is already unique across packs; the campus
+ * map is stored per pack under `mapImageId(packId)`.
+ */
+
+export const LIBRARY_KEY = "pg_library_v1";
+
+// Per-game keys from before the library existed; their values become the first pack.
+const LEGACY_KEYS = [
+  "pg_rounds_v1",
+  "pg_current_v1",
+  "pg_teams_v1",
+  "pg_scorelog_v1",
+  "pg_timer_v1",
+  "pg_autoblur_v1",
+  "pg_startblur_v1",
+  "pg_initialzoom_v1",
+  "pg_effect_v1",
+  "pg_mapmode_v1",
+  "pg_map_v1",
+  "pg_mapscoring_v1",
+  "pg_judge_tolerance_v1",
+  "pg_points_v1",
+];
+
+export const packKey = (key, packId) => `${key}@${packId}`;
+export const mapImageId = (packId) => `${MAP_IMAGE_ID}@${packId}`;
+
+const read = (key, fallback = null) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {}
+};
+
+// Every localStorage key holding data of `packId`.
+const keysOfPack = (packId) =>
+  Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)).filter((k) => k.endsWith(`@${packId}`));
+
+// ---------- Hooks ----------
+
+// initialValue may be a function (like useState's lazy initializer), evaluated only when nothing is stored;
+// migrate(stored) upgrades a value saved by an older version of the app
+export function useLocalStorage(key, initialValue, migrate = (v) => v) {
+  const [value, setValue] = useState(() => {
+    const init = () => (typeof initialValue === "function" ? initialValue() : initialValue);
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? migrate(JSON.parse(raw)) : init();
+    } catch {
+      return init();
+    }
+  });
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch {}
+  }, [key, value]);
+  return [value, setValue];
+}
+
+// Id of the pack the host app is currently showing.
+export const PackContext = createContext("");
+
+// useLocalStorage for a per-game key of the active pack.
+export function usePackStorage(key, initialValue, migrate) {
+  return useLocalStorage(packKey(key, useContext(PackContext)), initialValue, migrate);
+}
+
+// ---------- Library ----------
+
+const makePackEntry = (name) => ({ id: crypto.randomUUID(), name, createdAt: new Date().toISOString() });
+
+let loading = null;
+
+/**
+ * Reads the library, creating it on first run from the pre-library single game.
+ * Memoized, so concurrent callers never migrate twice.
+ */
+export function loadLibrary() {
+  loading ??= (async () => {
+    const lib = read(LIBRARY_KEY);
+    if (lib?.packs?.length) {
+      return lib.packs.some((p) => p.id === lib.activeId) ? lib : { ...lib, activeId: lib.packs[0].id };
+    }
+    const pack = makePackEntry("My game");
+    for (const key of LEGACY_KEYS) {
+      const raw = localStorage.getItem(key);
+      if (raw === null) continue;
+      localStorage.setItem(packKey(key, pack.id), raw);
+      localStorage.removeItem(key);
+    }
+    const created = { activeId: pack.id, packs: [pack] };
+    write(LIBRARY_KEY, created);
+    try {
+      const map = await getImage(MAP_IMAGE_ID);
+      if (map) {
+        await putImage(mapImageId(pack.id), map);
+        await deleteImage(MAP_IMAGE_ID);
+      }
+    } catch {}
+    return created;
+  })();
+  return loading;
+}
+
+export const saveLibrary = (lib) => write(LIBRARY_KEY, lib);
+
+export function createPack(lib, name) {
+  const pack = makePackEntry(name);
+  return { ...lib, activeId: pack.id, packs: [...lib.packs, pack] };
+}
+
+export const renamePack = (lib, id, name) => ({ ...lib, packs: lib.packs.map((p) => (p.id === id ? { ...p, name } : p)) });
+
+export const switchPack = (lib, id) => ({ ...lib, activeId: id });
+
+/**
+ * Copies a pack with all its data. Rounds get new ids (and image copies), so deleting a round
+ * or the whole pack later never touches the original's images.
+ */
+export async function duplicatePack(lib, id, name) {
+  const pack = makePackEntry(name);
+  for (const key of keysOfPack(id)) {
+    localStorage.setItem(`${key.slice(0, -id.length)}${pack.id}`, localStorage.getItem(key));
+  }
+
+  const roundIds = {};
+  const rounds = read(packKey("pg_rounds_v1", id), []).map((r) => {
+    roundIds[r.id] = crypto.randomUUID();
+    return { ...r, id: roundIds[r.id], imageUrl: "", thumbUrl: "" };
+  });
+  for (const [from, to] of Object.entries(roundIds)) {
+    for (const [src, dst] of [[from, to], [thumbId(from), thumbId(to)]]) {
+      const blob = await getImage(src).catch(() => null);
+      if (blob) await putImage(dst, blob);
+    }
+  }
+  write(packKey("pg_rounds_v1", pack.id), rounds);
+
+  // score events point at rounds by id (see scoreLog.js)
+  const log = read(packKey("pg_scorelog_v1", id));
+  if (log) {
+    const remap = (e) => ({ ...e, roundId: roundIds[e.roundId] ?? e.roundId });
+    write(packKey("pg_scorelog_v1", pack.id), { ...log, events: log.events.map(remap), redo: log.redo.map((batch) => batch.map(remap)) });
+  }
+
+  const map = await getImage(mapImageId(id)).catch(() => null);
+  if (map) await putImage(mapImageId(pack.id), map);
+
+  const at = lib.packs.findIndex((p) => p.id === id) + 1;
+  return { ...lib, packs: [...lib.packs.slice(0, at), pack, ...lib.packs.slice(at)] };
+}
+
+// Deletes a pack with its data and images. The last pack can't be deleted.
+export async function deletePack(lib, id) {
+  if (lib.packs.length <= 1) throw new Error("The library needs at least one game");
+  const rounds = read(packKey("pg_rounds_v1", id), []);
+  const ids = [...rounds.flatMap((r) => [r.id, thumbId(r.id)]), mapImageId(id)];
+  await Promise.all(ids.map((imageId) => deleteImage(imageId).catch(() => {})));
+  keysOfPack(id).forEach((k) => localStorage.removeItem(k));
+  const packs = lib.packs.filter((p) => p.id !== id);
+  return { activeId: lib.activeId === id ? packs[0].id : lib.activeId, packs };
+}
@@ -0,0 +1,43 @@
+/**
+ * Host <-> participant window sync over BroadcastChannel.
+ * Every message is `{ type, ...payload }` with one of the MSG types below. The host broadcasts
+ * state as it changes and answers HELLO with a full snapshot, so a participant window that opens
+ * late (or outlives a host reload) catches up on its own.
+ */
+
+export const CHANNEL = "pg_sync_v1";
+
+export const MSG = {
+  HELLO: "hello", // participant -> host: please send the full state
+  BYE: "bye", // participant -> host: window is closing
+  ROUND: "round", // host: { round: { id, imageUrl, title, hints: [{ text, cost, cap }], answer }, index, total }
+  TICK: "tick", // host: { time, countUp, isRunning, effect, amount, blur, zoom, focus }; time is seconds left, or taken when countUp
+  REVEAL: "reveal", // host: { reveal: { hints: [bool], answer }, points }
+  SCORES: "scores", // host: { teams }
+  PHASE: "phase", // host: { phase, index, total, awarded: { teamId: points this round } }, see flow.js
+  AUDIO: "audio", // host: { output: "host" | "participant", muted }, see audio.js
+  CUE: "cue", // host: { sound, volume }, a sound to play now; sent only when sound plays in the participant window
+  WAGER: "wager", // host: { active, open, placed: [teamId], settlement: [{ teamId, bet, right, before, after }] | null }, see wager.js
+  CHOICE: "choice", // host: { options: [{ letter, text, eliminated }] shown so far, correct: index once revealed | null }, see choice.js
+  BUZZ: "buzz", // host: { enabled, holder: teamId | null, out: [teamId] }, see buzzer.js
+  MAP: "map", // host: { enabled, mapName, imageId, aspect, revealed, location, results: [{ teamId, name, color, guess, distance, points }] }
+};
+
+/**
+ * Opens the sync channel and calls `onMessage(msg)` for every message from another window.
+ * Returns `{ post(type, payload), close() }`; both are no-ops where BroadcastChannel is unavailable.
+ */
+export function createSyncChannel(onMessage) {
+  if (typeof BroadcastChannel === "undefined") return { post: () => {}, close: () => {} };
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.onmessage = (e) => {
+    if (e.data && typeof e.data.type === "string") onMessage(e.data);
+  };
+  return {
+    post: (type, payload = {}) => channel.postMessage({ ...payload, type }),
+    close: () => channel.close(),
+  };
+}
+
+export const participantUrl = () => `${window.location.pathname}?view=participant`;
+export const isParticipantView = () => new URLSearchParams(window.location.search).get("view") === "participant";
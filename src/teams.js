@@ -0,0 +1,61 @@
+/**
+ * Team helpers: colors, the optional emoji/logo mark, leaders and ranking.
+ * Team shape: { id, name, color, emoji?, logo? } where `logo` is a small data URL so it travels
+ * with localStorage and pack files without a separate image store.
+ */
+
+export const TEAM_COLORS = ["#3b82f6", "#ef4444", "#22c55e", "#a855f7", "#f59e0b", "#06b6d4", "#ec4899", "#84cc16"];
+
+export const teamColor = (team, index = 0) => team?.color || TEAM_COLORS[index % TEAM_COLORS.length];
+
+// Freeze the palette fallback into each team, so reordering or removing teams doesn't shift colors.
+export const withColors = (teams) => teams.map((t, i) => (t.color ? t : { ...t, color: teamColor(t, i) }));
+
+export function makeTeam(existing) {
+  const used = new Set(existing.map((t) => t.color));
+  const color = TEAM_COLORS.find((c) => !used.has(c)) || TEAM_COLORS[existing.length % TEAM_COLORS.length];
+  return { id: crypto.randomUUID(), name: `Team ${existing.length + 1}`, color, emoji: "" };
+}
+
+/**
+ * Returns `{ leaders, score }`: every team sharing the top score, or no leaders while nobody has scored.
+ */
+export function leadingTeams(teams) {
+  const score = Math.max(0, ...teams.map((t) => t.score));
+  return { leaders: score > 0 ? teams.filter((t) => t.score === score) : [], score };
+}
+
+/**
+ * Teams sorted by score, highest first, each with a competition `rank`: tied teams share a rank
+ * and the next rank is skipped (1, 2, 2, 4).
+ */
+export function rankTeams(teams) {
+  const sorted = [...teams].sort((a, b) => b.score - a.score);
+  let rank = 0;
+  return sorted.map((t, i) => {
+    if (i === 0 || t.score !== sorted[i - 1].score) rank = i + 1;
+    return { ...t, rank };
+  });
+}
+
+// Downscales an uploaded logo to a small square-ish PNG data URL.
+export function logoDataUrl(file, size = 96) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, size / Math.max(img.naturalWidth, img.naturalHeight));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL("image/png"));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read that logo image"));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,33 @@
+/**
+ * Wager rounds.
+ * Before the image is shown every team bets up to its current score; once the answer is revealed
+ * the host marks each team right or wrong, and settling wins or loses each bet on the scoreboard.
+ * On the round: `bets` (teamId -> points), `betResults` (teamId -> true | false), `betsLocked`
+ * (set once the clock has started) and, once settled, `settlement` rows `{ teamId, bet, right, before, after }`.
+ */
+
+export const isWager = (round) => round?.type === "wager";
+
+// A bet as a whole number of points between 0 and the team's score.
+export const clampBet = (amount, score) => Math.max(0, Math.min(Math.floor(Number(amount) || 0), score));
+
+// Teams that have bet but haven't been marked right or wrong yet.
+export const unmarkedTeams = (round) => Object.keys(round.bets || {}).filter((id) => round.betResults?.[id] == null);
+
+/**
+ * The settled bets for `teams` as they stand now, smallest bet first so the biggest swing comes
+ * last on the settlement screen. Scores don't go below 0, matching the score log.
+ */
+export function settlementRows(round, teams) {
+  return teams
+    .filter((t) => round.bets?.[t.id] != null && round.betResults?.[t.id] != null)
+    .map((t) => {
+      const bet = round.bets[t.id];
+      const right = round.betResults[t.id];
+      return { teamId: t.id, bet, right, before: t.score, after: Math.max(0, t.score + (right ? bet : -bet)) };
+    })
+    .sort((a, b) => a.bet - b.bet);
+}
+
+// Score log changes for settlement `rows`: one per team, so each bet is its own event.
+export const settlementChanges = (rows) => rows.map((r) => ({ teamId: r.teamId, delta: r.after - r.before }));